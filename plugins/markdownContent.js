@@ -0,0 +1,149 @@
+import { existsSync } from "node:fs";
+import path from "node:path";
+import { marked } from "marked";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * Markdown content pipeline — turns src/content/**\/*.md into JS modules at build time.
+ * Each file is `---` YAML front-matter followed by Markdown; it compiles to
+ *   export default { slug, meta, html, words }
+ * where `slug` is the file name and `words` the body's word count (for reading time). Front-matter is checked against the collection's rules
+ * (by folder) and any problem fails the build naming the file and the field.
+ * Images should live in /public and be referenced by absolute path (![alt](/images/x.png)).
+ * Translations sit beside their English original as `<slug>.<locale>.md` (about.de.md) and compile
+ * with `locale` set. They hold only text fields (title, summary, impact…), each optional — what a
+ * translation leaves out (an author's name) is the original's. Dates, tags and order always come
+ * from the original, so a translation can't drift from it.
+ */
+
+const text = { type: "string" };
+const date = { type: "date" };
+
+const COLLECTIONS = {
+  "case-studies": {
+    title: text,
+    client: text,
+    date,
+    summary: text,
+    impact: { type: "list" },
+    order: { type: "number", optional: true },
+  },
+  insights: {
+    title: text,
+    date,
+    author: text,
+    summary: text,
+    tags: { type: "tags" },
+  },
+  about: { title: text },
+  legal: { title: text, date },
+};
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Field types a translation carries; the rest are the original's
+const TRANSLATED = new Set(["string", "list"]);
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const checkField = (value, rule) => {
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" && value.trim() ? null : "expected non-empty text";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : "expected a number";
+    case "date":
+      return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : "expected a YYYY-MM-DD date";
+    case "list":
+      return Array.isArray(value) && value.length && value.every((v) => typeof v === "string" && v.trim())
+        ? null
+        : "expected a list of one or more text items";
+    case "tags":
+      // Tags become URLs (/insights/tag/voice-ai), so they follow the slug rules
+      return Array.isArray(value) && value.length && value.every((v) => typeof v === "string" && SLUG.test(v))
+        ? null
+        : "expected a list of one or more tags in lowercase-with-dashes";
+    default:
+      return `unsupported rule "${rule.type}"`;
+  }
+};
+
+/**
+ * Parses one Markdown source; throws an Error naming the offending field (the build prefixes the file).
+ * `locales` lists the codes a translation may use; the default locale's copy is the untagged file.
+ */
+export function compileMarkdown(source, file, root, { locales = [] } = {}) {
+  const rel = path.relative(root, file).split(path.sep).join("/");
+  const [name, locale = null] = path.basename(rel, ".md").split(".");
+  // Folders hold collections (case-studies/x.md); a top-level file is its own collection (about.md)
+  const collection = rel.includes("/") ? rel.split("/")[0] : name;
+  const collectionRules = COLLECTIONS[collection];
+  if (!collectionRules) throw new Error(`unknown content collection "${collection}" (expected one of: ${Object.keys(COLLECTIONS).join(", ")})`);
+  if (locale !== null) {
+    if (!locales.includes(locale)) throw new Error(`unknown locale "${locale}" (expected one of: ${locales.join(", ")})`);
+    if (!existsSync(path.join(path.dirname(file), `${name}.md`))) throw new Error(`translation of a missing original — add ${name}.md first`);
+  }
+  const rules = locale
+    ? Object.fromEntries(
+        Object.entries(collectionRules)
+          .filter(([, rule]) => TRANSLATED.has(rule.type))
+          .map(([field, rule]) => [field, { ...rule, optional: true }])
+      )
+    : collectionRules;
+
+  const fm = source.match(FRONT_MATTER);
+  if (!fm) throw new Error("missing front-matter (start the file with a --- block)");
+  let meta;
+  try {
+    meta = parseYaml(fm[1]) ?? {};
+  } catch (err) {
+    throw new Error(`front-matter is not valid YAML — ${err.message}`);
+  }
+  if (typeof meta !== "object" || Array.isArray(meta)) throw new Error("front-matter must be a set of key: value fields");
+
+  const problems = [];
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (meta[field] === undefined) {
+      if (!rule.optional) problems.push(`field "${field}": missing`);
+      return;
+    }
+    const problem = checkField(meta[field], rule);
+    if (problem) problems.push(`field "${field}": ${problem}`);
+  });
+  Object.keys(meta)
+    .filter((field) => !rules[field])
+    .forEach((field) =>
+      problems.push(
+        collectionRules[field]
+          ? `field "${field}": comes from ${name}.md — leave it out of translations`
+          : `field "${field}": unknown (expected one of: ${Object.keys(rules).join(", ")})`
+      )
+    );
+  if (problems.length) throw new Error(`invalid front-matter\n${problems.map((p) => `  • ${p}`).join("\n")}`);
+
+  const slug = name;
+  if (!SLUG.test(slug)) {
+    throw new Error("file name becomes the URL slug, so use lowercase letters, digits and dashes only");
+  }
+  const body = source.slice(fm[0].length);
+  const html = marked.parse(body, { gfm: true });
+  const words = body.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word)).length;
+  return { slug, locale, meta, html, words };
+}
+
+export default function markdownContent({ dir = "src/content", locales = [] } = {}) {
+  let root;
+  return {
+    name: "markdown-content",
+    enforce: "pre",
+    configResolved(config) {
+      root = path.resolve(config.root, dir);
+    },
+    transform(source, id) {
+      if (!id.endsWith(".md") || !id.startsWith(root)) return null;
+      try {
+        return { code: `export default ${JSON.stringify(compileMarkdown(source, id, root, { locales }))};`, map: null };
+      } catch (err) {
+        this.error(err.message);
+      }
+    },
+  };
+}
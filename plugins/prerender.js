@@ -0,0 +1,80 @@
+import path from "node:path";
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import { build } from "vite";
+
+/**
+ * Static prerender — after the client build, bundles the server entry (src/entry-server.jsx),
+ * renders each of its PRERENDER_PATHS into dist/index.html — markup into the root element, the
+ * page's head tags in place of <title> — and writes one page per route (/privacy →
+ * privacy/index.html, /404 → 404.html). main.jsx hydrates the result. Files returned by the
+ * entry's staticFiles() (sitemap.xml, robots.txt) are written alongside.
+ * A page that throws while rendering in Node (usually window/document/localStorage touched
+ * during render) fails the build with the route and the stack.
+ */
+
+const ROOT_ELEMENT = '<div id="root"></div>';
+const TITLE_ELEMENT = /<title>[^<]*<\/title>/;
+
+const outputFile = (route) => {
+  if (route === "/") return "index.html";
+  if (route === "/404") return "404.html";
+  return `${route.slice(1)}/index.html`;
+};
+
+export default function prerender({ entry = "src/entry-server.jsx" } = {}) {
+  let config;
+  return {
+    name: "prerender",
+    // Only the client build; the server bundle below is built with this same config
+    apply: (_, { command, isSsrBuild }) => command === "build" && !isSsrBuild,
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.join(outDir, ".prerender");
+      await build({
+        configFile: config.configFile,
+        mode: config.mode,
+        logLevel: "warn",
+        build: {
+          ssr: entry,
+          outDir: serverDir,
+          emptyOutDir: true,
+          copyPublicDir: false,
+          rollupOptions: { output: { entryFileNames: "[name].mjs", chunkFileNames: "[name]-[hash].mjs" } },
+        },
+      });
+
+      try {
+        const { PRERENDER_PATHS, render, staticFiles } = await import(pathToFileURL(path.join(serverDir, "entry-server.mjs")).href);
+        const template = await readFile(path.join(outDir, "index.html"), "utf8");
+        if (!template.includes(ROOT_ELEMENT)) this.error(`index.html has no empty ${ROOT_ELEMENT} to render into`);
+        if (!TITLE_ELEMENT.test(template)) this.error("index.html has no <title> to replace with the page's head tags");
+
+        for (const route of PRERENDER_PATHS) {
+          let page;
+          try {
+            page = render(route);
+          } catch (err) {
+            this.error(`${route} failed to render on the server — keep browser-only APIs out of render\n${err.stack}`);
+          }
+          if (!page.html) this.error(`${route} rendered no markup`);
+          const file = path.join(outDir, outputFile(route));
+          await mkdir(path.dirname(file), { recursive: true });
+          await writeFile(
+            file,
+            template.replace(TITLE_ELEMENT, () => page.head).replace(ROOT_ELEMENT, () => `<div id="root">${page.html}</div>`)
+          );
+        }
+        for (const [name, contents] of Object.entries(staticFiles())) {
+          await writeFile(path.join(outDir, name), contents);
+        }
+        config.logger.info(`[prerender] ${PRERENDER_PATHS.length} pages: ${PRERENDER_PATHS.join(", ")}`);
+      } finally {
+        await rm(serverDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+
+/**
+ * Transcript pipeline — turns src/content/**\/*.vtt (WebVTT captions) into JS modules at build time:
+ *   export default { slug, title, cues: [{ start, end, speaker, text }] }
+ * with times in seconds. The title is the text after `WEBVTT` on the first line; a cue's speaker
+ * comes from a `<v Name>` voice tag. Other cue tags are stripped, NOTE/STYLE/REGION blocks skipped.
+ * Malformed timings, overlapping order or an empty cue fail the build naming the file and line.
+ * Captions are meant to sit next to their recording (same name, AUDIO_EXTENSIONS); a missing one
+ * is only a warning — src/content.js leaves that call out.
+ */
+
+export const AUDIO_EXTENSIONS = [".mp3", ".m4a", ".ogg", ".wav"];
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const TIMESTAMP = /^(?:(\d+):)?([0-5]\d):([0-5]\d)\.(\d{3})$/;
+const TIMING = /^(\S+)\s+-->\s+(\S+)(?:\s+.*)?$/;
+
+const seconds = (stamp) => {
+  const m = stamp.match(TIMESTAMP);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4]) / 1000;
+};
+
+const cueText = (lines) => {
+  const joined = lines.join(" ");
+  const voice = joined.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+  const text = joined
+    .replace(/<[^>]*>/g, "")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+  return { speaker: voice ? voice[1].trim() : null, text };
+};
+
+/** Parses one WebVTT source; throws an Error naming the offending line (the build prefixes the file). */
+export function compileTranscript(source, file) {
+  const lines = source.replace(/^﻿/, "").split(/\r?\n/);
+  const header = lines[0].match(/^WEBVTT(?:[ \t]+(?:-[ \t]+)?(.*))?$/);
+  if (!header) throw new Error('line 1: a WebVTT file starts with "WEBVTT"');
+  const title = (header[1] || "").trim();
+  if (!title) throw new Error('line 1: add a title after WEBVTT ("WEBVTT - Booking a dental check-up")');
+
+  const cues = [];
+  // The header block may carry metadata lines ("Kind: captions"); cues start after it
+  let i = 1;
+  while (i < lines.length && lines[i].trim()) i++;
+  while (i < lines.length) {
+    // Blocks are separated by blank lines
+    while (i < lines.length && !lines[i].trim()) i++;
+    const start = i;
+    while (i < lines.length && lines[i].trim()) i++;
+    const block = lines.slice(start, i);
+    if (!block.length || /^(NOTE|STYLE|REGION)\b/.test(block[0])) continue;
+
+    const timingIndex = block.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) throw new Error(`line ${start + 1}: expected a cue timing like "00:01.000 --> 00:04.500"`);
+    const line = start + timingIndex + 1;
+    const timing = block[timingIndex].match(TIMING);
+    const from = timing ? seconds(timing[1]) : null;
+    const to = timing ? seconds(timing[2]) : null;
+    if (from === null || to === null) throw new Error(`line ${line}: timings must be [hh:]mm:ss.ttt --> [hh:]mm:ss.ttt`);
+    if (to <= from) throw new Error(`line ${line}: a cue must end after it starts`);
+    if (cues.length && from < cues[cues.length - 1].start) throw new Error(`line ${line}: cues must be in time order`);
+    const { speaker, text } = cueText(block.slice(timingIndex + 1));
+    if (!text) throw new Error(`line ${line}: cue has no text`);
+    cues.push({ start: from, end: to, speaker, text });
+  }
+  if (!cues.length) throw new Error("no cues — add at least one timed caption");
+
+  const slug = path.basename(file, ".vtt");
+  if (!SLUG.test(slug)) throw new Error("file name becomes the sample's id, so use lowercase letters, digits and dashes only");
+  return { slug, title, cues };
+}
+
+export default function transcripts({ dir = "src/content" } = {}) {
+  let root;
+  return {
+    name: "transcripts",
+    enforce: "pre",
+    configResolved(config) {
+      root = path.resolve(config.root, dir);
+    },
+    // Loaded here rather than transformed: Vite would otherwise load .vtt as a URL asset
+    load(id) {
+      if (!id.endsWith(".vtt") || !id.startsWith(root)) return null;
+      let transcript;
+      try {
+        transcript = compileTranscript(readFileSync(id, "utf8"), id);
+      } catch (err) {
+        this.error(err.message);
+      }
+      const base = id.slice(0, -".vtt".length);
+      if (!AUDIO_EXTENSIONS.some((ext) => existsSync(base + ext))) {
+        this.warn(`no recording for ${path.basename(id)} (${AUDIO_EXTENSIONS.join(", ")}) — it is left out of the sample calls`);
+      }
+      return { code: `export default ${JSON.stringify(transcript)};`, map: null };
+    },
+  };
+}
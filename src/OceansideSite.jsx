@@ -1,43 +1,90 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { motion, useScroll, useTransform, AnimatePresence } from "framer-motion";
+import React, { useEffect, useId, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { motion, useScroll, useTransform, AnimatePresence, MotionConfig } from "framer-motion";
 import {
   Waves,
-  ShieldCheck,
-  Mic2,
-  Headphones,
   PhoneCall,
-  Cpu,
-  Sparkles,
-  Lock,
-  Globe2,
-  Telescope,
   ChevronRight,
   Mail,
   Check,
   Play,
   ArrowRight,
   Circle,
+  Monitor,
   Moon,
   SunMedium,
   MousePointer2,
-  Zap,
   Link,
   Timer,
   ClipboardCheck,
-  LineChart,
   Stars,
+  Languages,
+  Bot,
+  Mic,
+  MicOff,
+  Volume2,
+  VolumeX,
+  SendHorizontal,
+  RotateCcw,
+  Sparkles,
+  Pause,
+  Square,
 } from "lucide-react";
+import siteConfig from "./site-config.json";
+import { ICONS } from "./icons";
+import { ABOUT, CASE_STUDIES, INSIGHTS, INSIGHT_TAGS, LEGAL, SAMPLE_CALLS, localized } from "./content";
+import { getAttribution } from "./attribution";
+import { CALENDLY_EVENTS, calendlyEmbedUrl, calendlyEventName } from "./calendly";
+import { subscribeAnalytics, track } from "./analytics";
+import { CONSENT_CATEGORIES, getConsent, setConsent, subscribeConsent } from "./consent";
+import { HONEYPOT_FIELD, createChallenge, recordRejection, screenSubmission, solveProofOfWork } from "./botGuard";
+import { animate, pointer } from "./animation";
+import { prefersReducedMotion, scrollBehavior, setReducedMotion, subscribeMotion } from "./motion";
+import { THEME_MODES, canvasPalette, getThemeMode, setThemeMode, subscribeTheme } from "./theme";
+import { createCanvasRenderer } from "./canvasRenderer";
+import { getPlayback, playSample, readSignal, stopSample, subscribePlayback } from "./samplePlayer";
+import { startDialogue, respond } from "./dialogue";
+import { ROI_INPUTS, DEAL_RATE, clampRoiInput, estimateRoi, initialRoiInputs } from "./roi";
+import { ANNUAL_DISCOUNT, BILLING_PERIODS, CURRENCIES, exchange, planPrice } from "./pricing";
+import { APPOINTMENT_SETTER, DEMO_LANG } from "./demoPersona";
+import { DEFAULT_LOCALE, LOCALES, getI18n, getLocale, setLocale, subscribeLocale } from "./i18n";
+import { LEAD_MESSAGES, LEAD_SCHEMA, emptyLead, validateField, validateLead } from "./leadSchema";
+import { resolveLeadSinks } from "./leadSinks";
+import { pageMeta } from "./seo";
+import { currentPath, matchRoute, navigate, subscribeRoute } from "./router";
+import { createIdempotencyKey, leadQueueStatus, startLeadQueue, submitLead, subscribeLeadQueue } from "./leadQueue";
 
 /**
  * Oceanside AI Solutions — Cinematic Minimalist Website
  * Tech: React + Tailwind CSS + Framer Motion + Lucide Icons
  * Notes:
  * - Apple-style minimalism: ample whitespace, large typography, subtle depth.
- * - Cinematic hero: interactive sound waves + cursor-reactive particles.
- * - Lead capture: webhook POST to Make.com and Calendly modal.
- * - Sections: Hero, Clients, Services, Case Studies, Mission, About, Integrations,
- *             Pricing, FAQ, Contact, Footer.
- * - Dark mode toggle with persisted preference.
+ * - Cinematic hero: interactive sound waves + cursor-reactive particles (canvasScenes.js, drawn on
+ *   one shared, frame-budgeted loop from animation.js, in a worker via OffscreenCanvas where
+ *   supported — canvasRenderer.js); sample calls (src/content/sample-calls)
+ *   play through Web Audio with captions while the waves show their signal; a talk-to-our-agent demo
+ *   (scripted local dialogue in dialogue.js, typed or spoken input, speechSynthesis replies) that
+ *   hands what it collected to the contact form.
+ * - Lead capture: pluggable lead sinks (Make.com webhook by default), offline-queued with retries,
+ *   plus Calendly modal.
+ * - Routes: / (sections), /privacy, /terms, /work/:slug, /insights (+ /tag/:tag, /:slug) and a 404
+ *   — pushState router (router.js).
+ * - Sections: Hero, Clients, Services, Case Studies, Latest Insights, Mission, About, Integrations,
+ *             Pricing, FAQ, Contact, Footer — composed from SECTION_REGISTRY.
+ * - Pricing: monthly/annual billing and currency switching (pricing.js), a feature comparison table
+ *   and an ROI calculator (roi.js) that recommends a tier by included minutes; "Get started" hands
+ *   the tier, billing choice and the visitor's numbers to the contact form for the lead payload.
+ * - Theme: system (follows prefers-color-scheme live), light or dark, saved (theme.js); an inline
+ *   script in index.html sets it before first paint. Canvas colors are theme tokens in globals.css.
+ * - Reduced motion: follows prefers-reduced-motion, with a toggle beside the theme (motion.js) —
+ *   still canvases, opacity-only Framer Motion (MotionConfig), no parallax or smooth scrolling.
+ * - Prerendered to static HTML at build time (entry-server.jsx, plugins/prerender.js) and hydrated
+ *   in main.jsx — render must not touch window/document/localStorage; do that in effects.
+ * - SEO: per-page head tags, JSON-LD, sitemap.xml and robots.txt from site content (seo.js).
+ * - i18n: locale switcher, UI strings and translated site copy from src/locales (i18n.js).
+ * - Analytics: track() events, section views via IntersectionObserver, ?debug=analytics overlay.
+ * - Consent: banner + preferences dialog; third-party embeds wait for permission (consent.js).
+ * - Content: copy lives in site-config.json, icons referenced by name via icons.js;
+ *   long-form copy is Markdown in src/content, compiled at build time (plugins/markdownContent.js).
  */
 
 /**********************
@@ -48,8 +95,60 @@ const Container = ({ children, className = "" }) => (
   <div className={`mx-auto w-full max-w-7xl px-6 md:px-10 ${className}`}>{children}</div>
 );
 
-const Section = ({ id, children, className = "", full = false }) => (
-  <section id={id} className={`${full ? "" : "py-20 md:py-28"} ${className}`}>{children}</section>
+// Fires a one-off "section_view" analytics event when the section crosses the middle of the viewport
+const useSectionView = (id) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || !id || typeof IntersectionObserver === "undefined") return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (!entry.isIntersecting) return;
+        track("section_view", { section: id });
+        observer.disconnect();
+      },
+      { rootMargin: "-40% 0px -40% 0px" }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [id]);
+  return ref;
+};
+
+const Section = ({ id, children, className = "", full = false }) => {
+  const ref = useSectionView(id);
+  return (
+    <section ref={ref} id={id} className={`${full ? "" : "py-20 md:py-28"} ${className}`}>{children}</section>
+  );
+};
+
+const Icon = ({ name, ...props }) => {
+  const Component = ICONS[name];
+  return Component ? <Component {...props} /> : null;
+};
+
+// In-app link for real paths; modified clicks (new tab etc.) fall through to the browser
+const RouteLink = ({ to, onClick, children, ...props }) => (
+  <a
+    {...props}
+    href={to}
+    onClick={(e) => {
+      onClick?.(e);
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+    }}
+  >
+    {children}
+  </a>
+);
+
+// Build-time compiled Markdown (src/content) in the site's typography
+const Prose = ({ html, className = "" }) => (
+  <div
+    className={`prose prose-zinc max-w-none dark:prose-invert prose-headings:tracking-tight prose-a:text-indigo-600 dark:prose-a:text-indigo-400 ${className}`}
+    dangerouslySetInnerHTML={{ __html: html }}
+  />
 );
 
 const GradientDivider = () => (
@@ -60,198 +159,656 @@ const GradientDivider = () => (
  * Theme (Dark Toggle) *
  **********************/
 
-function useTheme() {
-  const [theme, setTheme] = useState(
-    typeof window !== "undefined" && window.localStorage.getItem("theme")
-      ? window.localStorage.getItem("theme")
-      : "dark"
+// "system" for the server render and hydration; <html> itself is set by index.html before paint
+const useThemeMode = () => useSyncExternalStore(subscribeTheme, getThemeMode, () => "system");
+
+const THEME_ICONS = { system: Monitor, light: SunMedium, dark: Moon };
+
+// Cycles system → light → dark, showing the current mode
+const ThemeToggle = () => {
+  const { t } = useI18n();
+  const mode = useThemeMode();
+  const Icon = THEME_ICONS[mode];
+  const label = t(`theme.${mode}`);
+  return (
+    <button
+      aria-label={t("theme.toggle", { mode: label })}
+      title={t("theme.toggle", { mode: label })}
+      onClick={() => setThemeMode(THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length])}
+      className="group inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-4 py-2 text-sm text-zinc-700 shadow-sm backdrop-blur transition motion-ok:hover:-translate-y-0.5 hover:shadow-md dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-300"
+    >
+      <Icon className={`h-4 w-4 ${mode === "light" ? "text-amber-500" : mode === "dark" ? "text-indigo-300" : ""}`} />
+      <span className="hidden sm:inline">{label}</span>
+    </button>
   );
-  useEffect(() => {
-    if (!theme) return;
-    document.documentElement.classList.toggle("dark", theme === "dark");
-    window.localStorage.setItem("theme", theme);
-  }, [theme]);
-  return { theme, setTheme };
-}
+};
 
-const ThemeToggle = ({ theme, setTheme }) => (
-  <button
-    aria-label="Toggle dark mode"
-    onClick={() => setTheme(theme === "dark" ? "light" : "dark")}
-    className="group inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-4 py-2 text-sm text-zinc-700 shadow-sm backdrop-blur transition hover:-translate-y-0.5 hover:shadow-md dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-300"
-  >
-    {theme === "dark" ? (
-      <SunMedium className="h-4 w-4 text-amber-400" />
-    ) : (
-      <Moon className="h-4 w-4 text-zinc-900" />
-    )}
-    <span className="hidden sm:inline">{theme === "dark" ? "Light" : "Dark"} mode</span>
-  </button>
-);
+/**********************
+ * Motion Preference   *
+ **********************/
+
+// Full motion for the server render and hydration; the OS setting or saved choice applies after
+const useReduceMotion = () => useSyncExternalStore(subscribeMotion, prefersReducedMotion, () => false);
+
+const MotionToggle = () => {
+  const { t } = useI18n();
+  const reduced = useReduceMotion();
+  return (
+    <button
+      aria-label={t("motion.reduce")}
+      title={t("motion.reduce")}
+      aria-pressed={reduced}
+      onClick={() => setReducedMotion(!reduced)}
+      className="inline-flex items-center justify-center rounded-2xl border border-zinc-200 bg-white/70 p-2.5 text-zinc-700 shadow-sm backdrop-blur transition motion-ok:hover:-translate-y-0.5 hover:shadow-md dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-300"
+    >
+      {reduced ? <Pause className="h-4 w-4" /> : <Sparkles className="h-4 w-4" />}
+    </button>
+  );
+};
+
+/********************
+ * Locale (i18n)     *
+ ********************/
+
+const useLocale = () => useSyncExternalStore(subscribeLocale, getLocale, () => DEFAULT_LOCALE);
+
+// The active locale's `t`, translated site copy (`content`) and number/date formatters
+const useI18n = () => getI18n(useLocale());
+
+// Compact trigger showing the locale code; the native select lists each language in its own name
+const LocaleSwitcher = () => {
+  const { locale, t } = useI18n();
+  return (
+    <label className="relative inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-3 py-2 text-sm text-zinc-700 shadow-sm backdrop-blur transition focus-within:ring-2 focus-within:ring-indigo-500 motion-ok:hover:-translate-y-0.5 hover:shadow-md dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-300">
+      <Languages className="h-4 w-4 text-indigo-500" />
+      <span aria-hidden="true" className="font-medium uppercase">{locale}</span>
+      <select
+        aria-label={t("locale.label")}
+        value={locale}
+        onChange={(e) => {
+          track("locale_change", { from: locale, to: e.target.value });
+          setLocale(e.target.value);
+        }}
+        className="absolute inset-0 cursor-pointer opacity-0"
+      >
+        {LOCALES.map((l) => (
+          <option key={l.code} value={l.code} lang={l.code}>
+            {l.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
 
 /*******************************
  * Cinematic Cursor + Particles *
  *******************************/
 
-const useCursor = () => {
-  const [pos, setPos] = useState({ x: 0, y: 0 });
-  useEffect(() => {
-    const onMove = (e) => {
-      setPos({ x: e.clientX, y: e.clientY });
-    };
-    window.addEventListener("mousemove", onMove);
-    return () => window.removeEventListener("mousemove", onMove);
-  }, []);
-  return pos;
-};
-
-const ParticleField = () => {
+// Runs a canvas scene (canvasScenes.js, by name) on the shared animation loop, sized to the canvas
+// element; canvasRenderer.js draws it in a worker where the browser supports OffscreenCanvas.
+// Render the canvas with `key={canvasKey}`: a worker that fails after taking the canvas over
+// takes it with it, and the new key mounts a fresh one that is drawn on the main thread.
+// Nothing here depends on props or the pointer, so the loop and the scene's state persist.
+// Colors come from the theme's canvas tokens (theme.js) and follow it when it changes.
+// With reduced motion the scene draws one still frame (again after each resize or theme change)
+// and never animates. `readInputs` (stable, e.g. module-level) adds scene-specific inputs to each frame.
+const STILL_FRAME = { time: 0, dt: 0, quality: 1 };
+const noInputs = () => null;
+
+const useCanvasScene = (sceneName, readInputs = noInputs) => {
   const canvasRef = useRef(null);
-  const mouse = useCursor();
-  const particles = useRef([]);
-  const dpr = typeof window !== "undefined" ? Math.min(window.devicePixelRatio, 2) : 1;
-
+  const [canvasKey, setCanvasKey] = useState(0);
+  const reduced = useReduceMotion();
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
-    const ctx = canvas.getContext("2d");
+    const renderer = createCanvasRenderer(canvas, sceneName, { onLost: () => setCanvasKey((key) => key + 1) });
+    const drawStill = () => reduced && renderer.draw({ ...STILL_FRAME, pointer }, { still: true });
 
     const resize = () => {
-      canvas.width = canvas.clientWidth * dpr;
-      canvas.height = canvas.clientHeight * dpr;
+      const dpr = Math.min(window.devicePixelRatio, 2);
+      renderer.resize(canvas.clientWidth * dpr, canvas.clientHeight * dpr, dpr);
+      drawStill();
     };
+    renderer.setPalette(canvasPalette());
     resize();
-    window.addEventListener("resize", resize);
-
-    // Initialize particles
-    const count = Math.floor((canvas.clientWidth * canvas.clientHeight) / 18000);
-    particles.current = new Array(Math.max(60, count)).fill(0).map(() => ({
-      x: Math.random() * canvas.width,
-      y: Math.random() * canvas.height,
-      vx: (Math.random() - 0.5) * 0.4,
-      vy: (Math.random() - 0.5) * 0.4,
-      r: Math.random() * 2 + 0.5,
-      o: Math.random() * 0.6 + 0.2,
-    }));
-
-    let raf;
-    const loop = () => {
-      raf = requestAnimationFrame(loop);
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      const mx = mouse.x * dpr;
-      const my = mouse.y * dpr;
-      particles.current.forEach((p) => {
-        // subtle mouse repulsion
-        const dx = p.x - mx;
-        const dy = p.y - my;
-        const dist = Math.sqrt(dx * dx + dy * dy) + 0.001;
-        const force = Math.min(30 / dist, 0.6);
-        p.vx += (dx / dist) * force * 0.02;
-        p.vy += (dy / dist) * force * 0.02;
-        // motion + bounds
-        p.x += p.vx;
-        p.y += p.vy;
-        p.vx *= 0.98;
-        p.vy *= 0.98;
-        if (p.x < 0 || p.x > canvas.width) p.vx *= -1;
-        if (p.y < 0 || p.y > canvas.height) p.vy *= -1;
-        // draw
-        ctx.beginPath();
-        ctx.fillStyle = `rgba(99,102,241,${p.o})`; // indigo 500
-        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
-        ctx.fill();
-      });
-    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(canvas);
+    const unsubscribeTheme = subscribeTheme(() => {
+      renderer.setPalette(canvasPalette());
+      drawStill();
+    });
 
-    loop();
+    const stop = reduced ? () => {} : animate(canvas, (frame) => renderer.draw({ ...frame, pointer, ...readInputs() }));
     return () => {
-      cancelAnimationFrame(raf);
-      window.removeEventListener("resize", resize);
+      stop();
+      observer.disconnect();
+      unsubscribeTheme();
+      renderer.release();
     };
-  }, [dpr, mouse.x, mouse.y]);
+  }, [sceneName, readInputs, reduced, canvasKey]);
+  return { canvasRef, canvasKey };
+};
 
-  return <canvas ref={canvasRef} className="absolute inset-0 h-full w-full" />;
+const ParticleField = () => {
+  const { canvasRef, canvasKey } = useCanvasScene("particles");
+  return <canvas key={canvasKey} ref={canvasRef} className="absolute inset-0 h-full w-full" />;
 };
 
 /*****************************
  * Futuristic Soundwave Canvas
  *****************************/
 
+const usePlayback = () => useSyncExternalStore(subscribePlayback, getPlayback, getPlayback);
+
+const waveInputs = () => ({ signal: readSignal() });
+
+// Draws the playing sample call's signal with its captions; idle waves otherwise
 const SoundWaves = ({ height = 360 }) => {
-  const canvasRef = useRef(null);
-  const mouse = useCursor();
-  const dpr = typeof window !== "undefined" ? Math.min(window.devicePixelRatio, 2) : 1;
+  const { canvasRef, canvasKey } = useCanvasScene("waves", waveInputs);
+  const playback = usePlayback();
+  const call = SAMPLE_CALLS.find((c) => c.slug === playback.slug);
+  const cue = call?.cues.find((c) => playback.time >= c.start && playback.time < c.end);
+  return (
+    <div className="relative">
+      <canvas key={canvasKey} ref={canvasRef} className="block w-full" style={{ height }} />
+      {cue && (
+        <p className="absolute inset-x-0 top-6 mx-auto max-w-2xl px-6 text-center text-base text-zinc-800 md:text-lg dark:text-zinc-100">
+          {cue.speaker && <span className="mr-2 font-semibold text-indigo-600 dark:text-indigo-300">{cue.speaker}:</span>}
+          {cue.text}
+        </p>
+      )}
+    </div>
+  );
+};
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
+// One button per bundled sample call; nothing at all until a recording has been added
+const SampleCalls = () => {
+  const { t } = useI18n();
+  const playback = usePlayback();
+  useEffect(() => stopSample, []);
+  if (!SAMPLE_CALLS.length) return null;
+
+  const toggle = (call) => {
+    if (playback.slug === call.slug) {
+      stopSample();
+      return;
+    }
+    track("sample_play", { sample: call.slug });
+    playSample(call);
+  };
 
-    const resize = () => {
-      canvas.width = canvas.clientWidth * dpr;
-      canvas.height = height * dpr;
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-2 text-sm">
+      <span className="text-zinc-600 dark:text-zinc-400">{t("samples.title")}</span>
+      {SAMPLE_CALLS.map((call) => {
+        const active = playback.slug === call.slug;
+        return (
+          <button
+            key={call.slug}
+            onClick={() => toggle(call)}
+            aria-pressed={active}
+            aria-label={active ? t("samples.stop", { title: call.title }) : t("samples.play", { title: call.title })}
+            className={`inline-flex items-center gap-2 rounded-full border px-3 py-1.5 transition ${
+              active
+                ? "border-indigo-300 bg-indigo-50 text-indigo-700 dark:border-indigo-500/40 dark:bg-indigo-500/10 dark:text-indigo-200"
+                : "border-zinc-200 bg-white/70 text-zinc-700 hover:bg-zinc-50 dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300 dark:hover:bg-zinc-800"
+            }`}
+          >
+            {active ? <Square className="h-3.5 w-3.5" /> : <Play className="h-3.5 w-3.5" />}
+            {call.title}
+          </button>
+        );
+      })}
+      {playback.status === "error" && <p className="w-full text-center text-xs text-red-600 dark:text-red-400">{t("samples.error")}</p>}
+    </div>
+  );
+};
+
+/********************
+ * Agent Demo        *
+ ********************/
+
+// speechSynthesis where the browser has it; a new reply interrupts whatever is being said
+const useSpeechOutput = () => {
+  const supported = useHydrated() && "speechSynthesis" in window;
+  const [speaking, setSpeaking] = useState(false);
+  // Chrome drops events for utterances nothing references any more
+  const utterance = useRef(null);
+
+  const stop = () => {
+    if (supported) window.speechSynthesis.cancel();
+    setSpeaking(false);
+  };
+
+  const speak = (text, onEnd) => {
+    if (!supported) return;
+    window.speechSynthesis.cancel();
+    const next = new SpeechSynthesisUtterance(text);
+    next.lang = DEMO_LANG;
+    next.onstart = () => setSpeaking(true);
+    next.onend = () => {
+      setSpeaking(false);
+      onEnd?.();
     };
-    resize();
-    window.addEventListener("resize", resize);
-
-    const hues = [225, 210, 260]; // cool indigo/blue/violet spectrum
-    let t = 0;
-    let raf;
-
-    const draw = () => {
-      raf = requestAnimationFrame(draw);
-      t += 0.005;
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-      const mx = mouse.x * dpr;
-      const my = mouse.y * dpr;
-
-      for (let i = 0; i < 5; i++) {
-        const color = `hsla(${hues[i % hues.length]}, 80%, ${55 - i * 7}%, ${0.75 - i * 0.12})`;
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2 + i * 0.7;
-        ctx.beginPath();
-        for (let x = 0; x < canvas.width; x += 6) {
-          const f = 0.002 + i * 0.0006;
-          const amp = (30 + i * 10) + Math.sin(t * (1.2 + i * 0.2)) * 10;
-          const mouseInfluence = 0.0009 * ((mx - x) / canvas.width);
-          const y = canvas.height / 2 +
-            Math.sin(x * f + t * (1 + i * 0.15) + mouseInfluence * (my - canvas.height / 2)) * amp;
-          if (x === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
-        }
-        ctx.stroke();
-      }
+    next.onerror = () => setSpeaking(false); // includes being interrupted
+    utterance.current = next;
+    window.speechSynthesis.speak(next);
+  };
 
-      // faint grid overlay for cinematic vibe
-      ctx.strokeStyle = "rgba(148,163,184,0.12)"; // slate-400/12
-      ctx.lineWidth = 1;
-      const step = 64 * dpr;
-      for (let x = 0; x < canvas.width; x += step) {
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, canvas.height);
-        ctx.stroke();
-      }
-      for (let y = 0; y < canvas.height; y += step) {
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(canvas.width, y);
-        ctx.stroke();
-      }
+  useEffect(() => () => window.speechSynthesis?.cancel(), []);
+  return { supported, speaking, speak, stop };
+};
+
+// One utterance of (Webkit)SpeechRecognition per start(); interim words show while the caller talks
+const useSpeechInput = (onFinal) => {
+  const hydrated = useHydrated();
+  const Recognition = hydrated ? window.SpeechRecognition || window.webkitSpeechRecognition : null;
+  const [listening, setListening] = useState(false);
+  const [interim, setInterim] = useState("");
+  const [blocked, setBlocked] = useState(false);
+  const recognition = useRef(null);
+  const onFinalRef = useRef(onFinal);
+  onFinalRef.current = onFinal;
+
+  const start = () => {
+    if (!Recognition || recognition.current) return;
+    const next = new Recognition();
+    Object.assign(next, { lang: DEMO_LANG, interimResults: true, continuous: false, maxAlternatives: 1 });
+    next.onresult = (e) => {
+      const result = e.results[e.results.length - 1];
+      if (!result.isFinal) return setInterim(result[0].transcript);
+      setInterim("");
+      onFinalRef.current(result[0].transcript);
+    };
+    next.onerror = (e) => setBlocked(e.error === "not-allowed" || e.error === "service-not-allowed");
+    next.onend = () => {
+      recognition.current = null;
+      setListening(false);
+      setInterim("");
     };
+    recognition.current = next;
+    setListening(true);
+    next.start();
+  };
 
-    draw();
-    return () => cancelAnimationFrame(raf);
-  }, [dpr, height, mouse.x, mouse.y]);
+  const stop = () => recognition.current?.stop();
 
-  return <canvas ref={canvasRef} className="block w-full" style={{ height }} />;
+  useEffect(() => () => recognition.current?.abort(), []);
+  return { supported: Boolean(Recognition), listening, interim, blocked, start, stop };
+};
+
+const AgentDemo = ({ onHandoff }) => {
+  const { t } = useI18n();
+  const persona = APPOINTMENT_SETTER;
+  const [dialogue, setDialogue] = useState(null); // null until the visitor starts the demo
+  const [draft, setDraft] = useState("");
+  const [voice, setVoice] = useState(true);
+  const output = useSpeechOutput();
+  const transcriptRef = useRef(null);
+  // Set while the caller is talking rather than typing: each reply then hands the turn back to the mic
+  const handsFree = useRef(false);
+  const finished = dialogue?.stage === "done" || dialogue?.stage === "ended";
+
+  const send = (text) => {
+    if (!text.trim()) return;
+    output.stop(); // the caller talking cuts the agent off
+    setDialogue((current) => respond(persona, current, text));
+  };
+  const input = useSpeechInput(send);
+
+  const lastTurn = dialogue?.turns[dialogue.turns.length - 1];
+  useEffect(() => {
+    if (!lastTurn) return;
+    transcriptRef.current?.scrollTo({ top: transcriptRef.current.scrollHeight, behavior: scrollBehavior() });
+    if (lastTurn.from !== "agent") return;
+    const listenNext = handsFree.current && !finished ? () => input.start() : undefined;
+    if (voice && output.supported) output.speak(lastTurn.text, listenNext);
+    else listenNext?.();
+  }, [lastTurn]);
+
+  const start = () => {
+    track("demo_start", {});
+    setDialogue(startDialogue(persona));
+  };
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    handsFree.current = false;
+    send(draft);
+    setDraft("");
+  };
+
+  const toggleMic = () => {
+    if (input.listening) {
+      handsFree.current = false;
+      input.stop();
+      return;
+    }
+    handsFree.current = true;
+    output.stop();
+    input.start();
+  };
+
+  const toggleVoice = () => {
+    if (voice) output.stop();
+    setVoice(!voice);
+  };
+
+  const handoff = () => {
+    track("demo_handoff", {});
+    onHandoff(persona.handoff(dialogue.slots));
+  };
+
+  const iconButton =
+    "inline-flex h-9 w-9 shrink-0 items-center justify-center rounded-xl border border-zinc-200 text-zinc-700 transition hover:bg-zinc-50 disabled:opacity-40 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800";
+
+  return (
+    <div className="relative z-10 mx-auto -mt-40 max-w-xl rounded-3xl border border-zinc-200 bg-white/80 p-5 text-left shadow-xl backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/80">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
+            <Bot className="h-5 w-5" />
+          </div>
+          <div>
+            <h2 className="text-sm font-semibold text-zinc-900 dark:text-white">{t("demo.title")}</h2>
+            <p className="text-xs text-zinc-500 dark:text-zinc-400">
+              {t("demo.persona", { name: persona.name })}
+              {output.speaking && <span className="ml-2 inline-flex h-2 w-2 animate-pulse rounded-full bg-indigo-500" />}
+            </p>
+          </div>
+        </div>
+        {dialogue && (
+          <div className="flex items-center gap-2">
+            {output.supported && (
+              <button type="button" onClick={toggleVoice} aria-label={voice ? t("demo.voiceOff") : t("demo.voiceOn")} aria-pressed={voice} className={iconButton}>
+                {voice ? <Volume2 className="h-4 w-4" /> : <VolumeX className="h-4 w-4" />}
+              </button>
+            )}
+            <button type="button" onClick={start} aria-label={t("demo.restart")} className={iconButton}>
+              <RotateCcw className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!dialogue ? (
+        <div className="mt-4">
+          <p className="text-sm text-zinc-600 dark:text-zinc-400">{t("demo.intro", { name: persona.name })}</p>
+          <button
+            onClick={start}
+            className="mt-4 inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-2.5 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+          >
+            <PhoneCall className="h-4 w-4" /> {t("demo.start")}
+          </button>
+        </div>
+      ) : (
+        <>
+          <ol
+            ref={transcriptRef}
+            role="log"
+            aria-live="polite"
+            aria-label={t("demo.transcript")}
+            className="mt-4 max-h-64 space-y-2 overflow-y-auto pr-1"
+          >
+            {dialogue.turns.map((turn, i) => (
+              <li key={i} className={`flex ${turn.from === "agent" ? "justify-start" : "justify-end"}`}>
+                <p
+                  className={`max-w-[85%] rounded-2xl px-3 py-2 text-sm ${
+                    turn.from === "agent"
+                      ? "bg-zinc-100 text-zinc-800 dark:bg-zinc-800 dark:text-zinc-200"
+                      : "bg-indigo-600 text-white"
+                  }`}
+                >
+                  <span className="sr-only">{turn.from === "agent" ? t("demo.agent") : t("demo.you")}: </span>
+                  {turn.text}
+                </p>
+              </li>
+            ))}
+            {input.interim && (
+              <li className="flex justify-end">
+                <p className="max-w-[85%] rounded-2xl bg-indigo-600/60 px-3 py-2 text-sm italic text-white">{input.interim}</p>
+              </li>
+            )}
+          </ol>
+
+          {dialogue.stage === "done" && (
+            <button
+              onClick={handoff}
+              className="mt-4 inline-flex w-full items-center justify-center gap-2 rounded-2xl bg-zinc-900 px-5 py-2.5 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+            >
+              {t("demo.handoff")} <ArrowRight className="h-4 w-4" />
+            </button>
+          )}
+
+          <form onSubmit={onSubmit} className="mt-4 flex items-center gap-2">
+            <input
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              disabled={finished}
+              placeholder={input.listening ? t("demo.listening") : t("demo.placeholder")}
+              aria-label={t("demo.placeholder")}
+              className="min-w-0 flex-1 rounded-xl border border-zinc-200 bg-white/80 px-3 py-2 text-sm text-zinc-900 placeholder-zinc-400 outline-none transition focus:border-indigo-400 focus:ring-2 focus:ring-indigo-500/20 disabled:opacity-50 dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+            />
+            {input.supported && (
+              <button
+                type="button"
+                onClick={toggleMic}
+                disabled={finished}
+                aria-label={input.listening ? t("demo.stopListening") : t("demo.listen")}
+                aria-pressed={input.listening}
+                className={`${iconButton} ${input.listening ? "border-indigo-400 text-indigo-600 dark:border-indigo-500 dark:text-indigo-300" : ""}`}
+              >
+                {input.listening ? <MicOff className="h-4 w-4" /> : <Mic className="h-4 w-4" />}
+              </button>
+            )}
+            <button type="submit" disabled={finished || !draft.trim()} aria-label={t("demo.send")} className={iconButton}>
+              <SendHorizontal className="h-4 w-4" />
+            </button>
+          </form>
+          {input.blocked && <p className="mt-2 text-xs text-zinc-500 dark:text-zinc-400">{t("demo.micBlocked")}</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+/********************
+ * Consent           *
+ ********************/
+
+const useConsent = () => useSyncExternalStore(subscribeConsent, getConsent, getConsent);
+
+// False for the server render and hydration, true afterwards — for UI that depends on stored choices
+// or browser features
+const noSubscribe = () => () => {};
+const useHydrated = () => useSyncExternalStore(noSubscribe, () => true, () => false);
+
+const ConsentBanner = ({ onCustomize }) => {
+  const consent = useConsent();
+  const hydrated = useHydrated();
+  const { t } = useI18n();
+  return (
+    <AnimatePresence>
+      {hydrated && !consent.decided && (
+        <motion.div
+          role="region"
+          aria-label={t("consent.region")}
+          initial={{ y: 40, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 40, opacity: 0 }}
+          className="fixed inset-x-4 bottom-4 z-40 mx-auto max-w-3xl rounded-3xl border border-zinc-200 bg-white/90 p-5 shadow-2xl backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/90"
+        >
+          <div className="flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+            <p className="text-sm text-zinc-700 dark:text-zinc-300">{t("consent.banner")}</p>
+            <div className="flex shrink-0 flex-wrap gap-2">
+              <button
+                onClick={onCustomize}
+                className="rounded-2xl border border-zinc-200 px-4 py-2 text-xs text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800"
+              >
+                {t("consent.preferences")}
+              </button>
+              <button
+                onClick={() => setConsent({ analytics: false, embeds: false })}
+                className="rounded-2xl border border-zinc-200 px-4 py-2 text-xs text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800"
+              >
+                {t("consent.necessaryOnly")}
+              </button>
+              <button
+                onClick={() => setConsent({ analytics: true, embeds: true })}
+                className="rounded-2xl bg-zinc-900 px-4 py-2 text-xs font-medium text-white shadow-sm dark:bg-white dark:text-zinc-900"
+              >
+                {t("consent.acceptAll")}
+              </button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+const ConsentDialog = ({ open, onClose }) => {
+  const consent = useConsent();
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(consent);
+
+  useEffect(() => {
+    if (open) setDraft(consent);
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open, onClose]);
+
+  const save = () => {
+    setConsent(draft);
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div className="fixed inset-0 z-50" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+          <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" onClick={onClose} />
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="consent-title"
+            initial={{ y: 30, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            exit={{ y: 30, opacity: 0 }}
+            className="absolute inset-x-4 top-20 mx-auto max-w-lg rounded-3xl border border-zinc-200 bg-white p-6 shadow-2xl dark:border-zinc-800 dark:bg-zinc-900"
+          >
+            <h2 id="consent-title" className="text-lg font-semibold text-zinc-900 dark:text-white">{t("consent.title")}</h2>
+            <ul className="mt-4 divide-y divide-zinc-200 dark:divide-zinc-800">
+              {CONSENT_CATEGORIES.map((c) => (
+                <li key={c.key} className="flex items-start justify-between gap-4 py-4">
+                  <div>
+                    <p className="text-sm font-medium text-zinc-900 dark:text-white">{t(`consent.${c.key}.label`)}</p>
+                    <p className="mt-1 text-xs text-zinc-600 dark:text-zinc-400">{t(`consent.${c.key}.description`)}</p>
+                  </div>
+                  <input
+                    type="checkbox"
+                    aria-label={t(`consent.${c.key}.label`)}
+                    checked={c.required || Boolean(draft[c.key])}
+                    disabled={c.required}
+                    onChange={(e) => setDraft({ ...draft, [c.key]: e.target.checked })}
+                    className="mt-1 h-4 w-4 shrink-0 accent-indigo-600"
+                  />
+                </li>
+              ))}
+            </ul>
+            <div className="mt-4 flex justify-end gap-2">
+              <button
+                onClick={onClose}
+                className="rounded-2xl border border-zinc-200 px-4 py-2 text-xs text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800"
+              >
+                {t("consent.cancel")}
+              </button>
+              <button onClick={save} className="rounded-2xl bg-zinc-900 px-4 py-2 text-xs font-medium text-white shadow-sm dark:bg-white dark:text-zinc-900">
+                {t("consent.save")}
+              </button>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+/********************
+ * Analytics Debug   *
+ ********************/
+
+const AnalyticsOverlay = () => {
+  const [events, setEvents] = useState([]);
+  const [collapsed, setCollapsed] = useState(false);
+  useEffect(() => subscribeAnalytics((e) => setEvents((prev) => [e, ...prev].slice(0, 40))), []);
+  return (
+    <div className="fixed bottom-4 left-4 z-[60] w-80 overflow-hidden rounded-2xl border border-zinc-700 bg-zinc-950/95 font-mono text-[11px] text-zinc-200 shadow-2xl">
+      <button
+        onClick={() => setCollapsed((v) => !v)}
+        className="flex w-full items-center justify-between border-b border-zinc-800 px-3 py-2 text-left text-zinc-400"
+      >
+        <span>analytics · {events.length} events</span>
+        <ChevronRight className={`h-3.5 w-3.5 transition ${collapsed ? "" : "rotate-90"}`} />
+      </button>
+      {!collapsed && (
+        <ol className="max-h-72 overflow-y-auto">
+          {events.map((e, i) => (
+            <li key={`${e.ts}-${i}`} className="border-b border-zinc-900 px-3 py-1.5">
+              <span className="text-indigo-300">{e.event}</span>{" "}
+              <span className="text-zinc-500">{new Date(e.ts).toLocaleTimeString()}</span>
+              <div className="truncate text-zinc-400">{JSON.stringify(e.props)}</div>
+            </li>
+          ))}
+          {!events.length && <li className="px-3 py-2 text-zinc-500">Waiting for events…</li>}
+        </ol>
+      )}
+    </div>
+  );
 };
 
 /********************
  * Calendly Modal   *
  ********************/
 
-const CalendlyModal = ({ open, onClose, url }) => {
+const CALENDLY_LOAD_TIMEOUT = 8000;
+
+const CalendlyModal = ({ open, onClose, url, getPrefill, onEvent }) => {
+  const iframeRef = useRef(null);
+  const embedsAllowed = useConsent().embeds;
+  const { t } = useI18n();
+  const [phase, setPhase] = useState("loading"); // "loading" | "ready" | "blocked" | "scheduled"
+  // Re-read on open so campaign params and form input captured after mount are forwarded too
+  const prefill = useMemo(() => (open ? getPrefill?.() || {} : {}), [open]);
+  const src = useMemo(() => (open ? calendlyEmbedUrl(url, prefill) : null), [open, url, prefill]);
+
+  useEffect(() => {
+    if (!open || !embedsAllowed) return;
+    setPhase("loading");
+    const origin = new URL(url, window.location.href).origin;
+    const onMessage = (e) => {
+      if (e.origin !== origin || e.source !== iframeRef.current?.contentWindow) return;
+      const name = calendlyEventName(e.data);
+      if (!name) return;
+      onEvent?.(name, e.data.payload);
+      setPhase((p) => (name === CALENDLY_EVENTS.scheduled ? "scheduled" : p === "scheduled" ? p : "ready"));
+    };
+    // Calendly never reports a blocked frame, so treat silence as failure and offer a new tab
+    const timer = setTimeout(() => setPhase((p) => (p === "loading" ? "blocked" : p)), CALENDLY_LOAD_TIMEOUT);
+    window.addEventListener("message", onMessage);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("message", onMessage);
+    };
+  }, [open, url, embedsAllowed]);
+
   return (
     <AnimatePresence>
       {open && (
@@ -272,21 +829,76 @@ const CalendlyModal = ({ open, onClose, url }) => {
             <div className="flex items-center justify-between border-b border-zinc-200/60 px-4 py-3 dark:border-zinc-800/60">
               <div className="flex items-center gap-2 text-sm text-zinc-600 dark:text-zinc-300">
                 <CalendarIcon />
-                <span>Book a session — Calendly</span>
+                <span>{t("calendly.title")}</span>
               </div>
               <button
                 onClick={onClose}
                 className="rounded-xl border border-zinc-200 px-3 py-1 text-xs text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800"
               >
-                Close
+                {t("calendly.close")}
               </button>
             </div>
-            <div className="aspect-[16/9] w-full">
-              <iframe
-                src={url}
-                title="Calendly"
-                className="h-full w-full"
-              />
+            <div className="relative aspect-[16/9] w-full">
+              {phase === "scheduled" ? (
+                <div className="flex h-full flex-col items-center justify-center gap-3 p-6 text-center">
+                  <div className="flex h-12 w-12 items-center justify-center rounded-2xl bg-emerald-600/10 text-emerald-600 dark:text-emerald-400">
+                    <Check className="h-6 w-6" />
+                  </div>
+                  <h3 className="text-xl font-semibold text-zinc-900 dark:text-white">{t("calendly.booked")}</h3>
+                  <p className="max-w-md text-sm text-zinc-600 dark:text-zinc-400">
+                    {prefill.email ? t("calendly.inviteTo", { email: prefill.email }) : t("calendly.invite")}{" "}
+                    {t("calendly.prepared")}
+                  </p>
+                  <button
+                    onClick={onClose}
+                    className="mt-2 inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-2.5 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+                  >
+                    {t("calendly.done")}
+                  </button>
+                </div>
+              ) : !embedsAllowed ? (
+                <div className="flex h-full flex-col items-center justify-center gap-3 p-6 text-center">
+                  <CalendarIcon />
+                  <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{t("calendly.consentTitle")}</h3>
+                  <p className="max-w-md text-sm text-zinc-600 dark:text-zinc-400">{t("calendly.consentText")}</p>
+                  <div className="mt-2 flex flex-wrap justify-center gap-2">
+                    <button
+                      onClick={() => setConsent({ embeds: true })}
+                      className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-2.5 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+                    >
+                      {t("calendly.allow")}
+                    </button>
+                    <a
+                      href={src}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 px-5 py-2.5 text-sm text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:text-zinc-300 dark:hover:bg-zinc-800"
+                    >
+                      {t("calendly.newTab")} <ArrowRight className="h-4 w-4" />
+                    </a>
+                  </div>
+                </div>
+              ) : (
+                <iframe
+                  ref={iframeRef}
+                  src={src}
+                  title="Calendly"
+                  className="h-full w-full"
+                />
+              )}
+              {embedsAllowed && phase === "blocked" && (
+                <div className="absolute inset-x-4 bottom-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-zinc-200 bg-white/95 px-4 py-3 text-sm shadow-lg backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/95">
+                  <span className="text-zinc-700 dark:text-zinc-300">{t("calendly.blocked")}</span>
+                  <a
+                    href={src}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-2 rounded-xl bg-zinc-900 px-3 py-1.5 text-xs font-medium text-white dark:bg-white dark:text-zinc-900"
+                  >
+                    {t("calendly.newTab")} <ArrowRight className="h-3.5 w-3.5" />
+                  </a>
+                </div>
+              )}
             </div>
           </motion.div>
         </motion.div>
@@ -309,131 +921,14 @@ const CalendarIcon = () => (
  * Data & Copy       *
  ********************/
 
-const COMPANY = {
-  name: "Oceanside AI Solutions",
-  tagline: "We build voice agents for companies across the globe.",
-  calendly: "https://calendly.com/mark-oceansideaisolutions/ai-voice-pioneers-onboarding",
-  webhook: "https://hook.us1.make.com/re70z6z8mmbacjumdqjrkq095j26dg6s",
-  mission:
-    "To operationalize voice AI for every SMB by delivering secure, high‑fidelity agents that increase conversion, compress cycle times, and reduce support costs — without disrupting existing workflows.",
-  pillars: [
-    {
-      icon: <ShieldCheck className="h-5 w-5" />, title: "Security‑first DNA",
-      text: "Founded by a cybersecurity specialist, we build with threat modeling, least‑privilege access, and end‑to‑end observability baked in."
-    },
-    {
-      icon: <Headphones className="h-5 w-5" />, title: "Human‑grade voice UX",
-      text: "Latency‑optimized turn‑taking, barge‑in handling, emotion tuning, and domain‑specific NLU for production reliability."
-    },
-    {
-      icon: <Cpu className="h-5 w-5" />, title: "Systems that ship",
-      text: "Opinionated patterns, rigorous QA, and SLA‑aligned monitoring to get from prototype to ROI fast."
-    },
-  ],
-  services: [
-    {
-      icon: <Mic2 className="h-6 w-6" />, name: "Voice Agent Design",
-      desc: "Intent modeling, dialogue flows, escalation rules, and personality packs tuned to your brand."
-    },
-    {
-      icon: <PhoneCall className="h-6 w-6" />, name: "Telephony & Routing",
-      desc: "SIP/PSTN, call trees, queueing, and CRM‑aware routing for inbound and outbound use cases."
-    },
-    {
-      icon: <Lock className="h-6 w-6" />, name: "Security & Compliance",
-      desc: "PII handling, SOC2‑aligned controls, encryption in transit/at rest, and audit trails."
-    },
-    {
-      icon: <Globe2 className="h-6 w-6" />, name: "Multilingual & Localization",
-      desc: "Accents, locales, and regulatory nuances for global deployments."
-    },
-    {
-      icon: <LineChart className="h-6 w-6" />, name: "Analytics & Optimization",
-      desc: "Real‑time call insights, funnel drop‑off analysis, and A/B scenario testing."
-    },
-  ],
-  caseStudies: [
-    {
-      logo: "CBN",
-      title: "Newsroom Script Assistant",
-      impact: ["4h → 20m draft time", "Consistent editorial tone", "Reduced weekend backlog"],
-      summary:
-        "Originated in Ukraine conflict zones: a Q&A‑driven script assistant that captures a journalist’s voice, accelerating draft creation while preserving editorial quality.",
-    },
-    {
-      logo: "Retail",
-      title: "AI Appointment Setter",
-      impact: ["+38% booked calls", "Lead response in <15s", "CRM‑synced"],
-      summary:
-        "Voice agent that qualifies inbound leads and books appointments directly on Calendly, syncing metadata to CRM for attribution.",
-    },
-  ],
-  integrations: [
-    "Twilio", "Plivo", "Vonage", "OpenAI", "ElevenLabs", "Whisper", "Deepgram", "Azure", "AWS", "GCP", "HubSpot", "Salesforce", "Stripe"
-  ],
-  pricing: [
-    {
-      tier: "Starter",
-      price: "$2,500",
-      tagline: "Pilot voice agent for one workflow",
-      features: [
-        "One agent persona",
-        "Up to 1k minutes/mo",
-        "Basic analytics dashboard",
-        "Email support",
-      ],
-    },
-    {
-      tier: "Growth",
-      price: "$6,500",
-      tagline: "Multi‑flow agent with CRM",
-      features: [
-        "Two personas + A/B",
-        "Up to 5k minutes/mo",
-        "CRM/Calendar integration",
-        "Priority support",
-      ],
-      highlighted: true,
-    },
-    {
-      tier: "Enterprise",
-      price: "Custom",
-      tagline: "Regulated & global scale",
-      features: [
-        "SAML SSO & role‑based access",
-        "Unlimited minutes option",
-        "Custom SLAs & compliance",
-        "Dedicated success engineer",
-      ],
-    },
-  ],
-  faqs: [
-    {
-      q: "How do you ensure security?",
-      a: "We implement threat modeling, encrypt data in transit and at rest, restrict secrets via vaulting, and log every privileged action for auditability.",
-    },
-    {
-      q: "Can you integrate with our telephony provider?",
-      a: "Yes. We work across Twilio, Plivo, Vonage and direct SIP. We map call flows to your escalation SOPs and compliance posture.",
-    },
-    {
-      q: "What languages do you support?",
-      a: "English, Spanish, French, German, Ukrainian and more — including locale‑specific patterns for dates, currency, and honorifics.",
-    },
-    {
-      q: "What’s the typical time to value?",
-      a: "Most pilots ship in 2–4 weeks with measurable KPIs (connect rates, bookings, handle time). We iterate weekly.",
-    },
-  ],
-  about: {
-    heading: "Built from the frontlines, engineered for the enterprise.",
-    story: `Oceanside AI Solutions began not in a boardroom, but amidst the urgency of Ukraine's conflict zones, where Mark Tomlet — a cybersecurity specialist with a background in journalism — recognized a pressing need. Surrounded by reporters under brutal deadlines, Mark saw an opportunity for AI to revolutionize scriptwriting.
+// All editable copy lives in site-config.json (validated against siteConfigSchema.js at build time).
+// This is the English original — components render the active locale's copy via useI18n().content.
+const COMPANY = siteConfig;
 
-Mark’s journey with AI started with a simple idea: an assistant that could interview the journalist, extract intent and tone, then draft a script in their voice. After extensive training and refinement, a process that once took 4 hours could be completed in just 20 minutes. This breakthrough earned an invitation from CBN News to build custom AI solutions for their newsroom.
+// VITE_CALENDLY_URL=/calendly-stub.html swaps in the local stand-in that emits Calendly's events
+const CALENDLY_URL = import.meta.env.VITE_CALENDLY_URL || COMPANY.calendly;
 
-As word spread, Oceanside expanded beyond journalism. Today we tackle diverse workflows for SMBs and mid‑market teams, building voice AI that integrates cleanly, scales reliably, and respects the realities of security, compliance, and change management.`,
-  },
-};
+const LEAD_SINKS = resolveLeadSinks(import.meta.env, { webhook: COMPANY.webhook });
 
 /********************
  * Animations        *
@@ -452,95 +947,516 @@ const stagger = {
  * Form (Webhook)    *
  ********************/
 
-function LeadForm({ webhook }) {
-  const [state, setState] = useState({ name: "", email: "", phone: "", company: "", message: "" });
+// Option values are what the lead sinks receive, so they stay English whatever the locale;
+// `label` renders an option for the active locale and each step's title is `lead.<key>.title`
+const translated = (value, key) => ({ value, label: ({ t }) => t(key) });
+
+const QUALIFICATION_STEPS = [
+  {
+    key: "useCase",
+    options: [
+      translated("inbound", "lead.useCase.inbound"),
+      translated("outbound", "lead.useCase.outbound"),
+      translated("appointment_setting", "lead.useCase.appointment_setting"),
+    ],
+  },
+  {
+    key: "callVolume",
+    options: [
+      translated("<500", "lead.callVolume.under500"),
+      translated("500-2k", "lead.callVolume.500to2k"),
+      translated("2k-10k", "lead.callVolume.2kto10k"),
+      translated("10k+", "lead.callVolume.over10k"),
+    ],
+  },
+  {
+    key: "telephonyProvider",
+    options: [
+      ...COMPANY.integrations.map((value) => ({ value, label: () => value })),
+      translated("Other", "lead.telephonyProvider.other"),
+      translated("None yet", "lead.telephonyProvider.none"),
+    ],
+  },
+  {
+    key: "languages",
+    multiple: true,
+    options: COMPANY.languages.map((value, i) => ({ value, label: ({ content }) => content.languages[i] })),
+  },
+  {
+    key: "tier",
+    options: [
+      ...COMPANY.pricing.map((p, i) => ({ value: p.tier, label: ({ content }) => content.pricing[i].tier })),
+      translated("Not sure yet", "lead.tier.unsure"),
+    ],
+  },
+];
+
+const WIZARD_STEPS = [
+  ...QUALIFICATION_STEPS.map((q) => q.key),
+  "details",
+  "review",
+];
+
+const emptyQualification = () =>
+  Object.fromEntries(QUALIFICATION_STEPS.map((q) => [q.key, q.multiple ? [] : ""]));
+
+const isAnswered = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+/**
+ * `prefill` (from another part of the page, e.g. the agent demo or the ROI calculator) is
+ * `{ lead?: fields, answers?: wizard answers, context?: extra payload keys }`; each new object
+ * merges into the form (context from earlier handoffs is kept) and moves it to the first step
+ * still unanswered.
+ */
+function LeadForm({ sinks, onDraft, prefill }) {
+  const [step, setStep] = useState(0);
+  const [answers, setAnswers] = useState(emptyQualification);
+  const [state, setState] = useState(() => emptyLead());
+  const [context, setContext] = useState({});
+  const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
-  const [ok, setOk] = useState(null);
+  const [status, setStatus] = useState(null); // "sent" | "queued" | "expired" | "error"
+  const [results, setResults] = useState([]);
+  const [pendingId, setPendingId] = useState(null);
+  const [guard, setGuard] = useState(() => ({ startedAt: Date.now(), challenge: createChallenge() }));
+  const i18n = useI18n();
+  const { t } = i18n;
+  const validation = useMemo(
+    () => ({
+      labels: Object.fromEntries(LEAD_SCHEMA.map((f) => [f.name, t(`lead.field.${f.name}`)])),
+      messages: Object.fromEntries(Object.keys(LEAD_MESSAGES).map((key) => [key, t(`lead.invalid.${key}`)])),
+    }),
+    [t]
+  );
+  const powRef = useRef(null);
+  const headingRef = useRef(null);
+  const stepKey = WIZARD_STEPS[step];
+  const question = QUALIFICATION_STEPS.find((q) => q.key === stepKey);
+
+  // A queued lead flips to "sent" once the background retry delivers it, or to "expired" if it never could
+  useEffect(() => {
+    if (status !== "queued") return;
+    return subscribeLeadQueue(() => {
+      const bySink = leadQueueStatus(pendingId);
+      if (Object.values(bySink).includes("queued")) return;
+      const expired = (id) => bySink[id] === "expired";
+      setStatus(Object.keys(bySink).some(expired) ? "expired" : "sent");
+      setResults((prev) => prev.map((r) => (r.status === "queued" ? { ...r, status: expired(r.id) ? "failed" : "sent" } : r)));
+    });
+  }, [status, pendingId]);
+
+  // Solve the proof-of-work token in the background once the visitor starts on the wizard
+  const startProofOfWork = () => {
+    if (!powRef.current) {
+      const controller = new AbortController();
+      powRef.current = { controller, token: solveProofOfWork(guard.challenge, { signal: controller.signal }) };
+    }
+    return powRef.current.token;
+  };
+
+  useEffect(
+    () => () => {
+      powRef.current?.controller.abort();
+      powRef.current = null;
+    },
+    [guard]
+  );
+
+  useEffect(() => {
+    if (!prefill) return;
+    const nextState = { ...state, ...prefill.lead };
+    const nextAnswers = { ...answers, ...prefill.answers };
+    setState(nextState);
+    setAnswers(nextAnswers);
+    setContext((current) => ({ ...current, ...prefill.context }));
+    setErrors({});
+    setStatus(null);
+    onDraft?.({ name: nextState.name.trim(), email: nextState.email.trim() });
+    const open = QUALIFICATION_STEPS.find((q) => !isAnswered(nextAnswers[q.key]));
+    goTo(WIZARD_STEPS.indexOf(open ? open.key : "details"));
+  }, [prefill]);
+
+  const reset = () => {
+    setState(emptyLead());
+    setAnswers(emptyQualification());
+    setContext({});
+    setStep(0);
+    setGuard({ startedAt: Date.now(), challenge: createChallenge() });
+  };
+
+  // Drop-off: report the last step reached if the visitor leaves mid-wizard
+  const progressRef = useRef({ step: 0, stepKey });
+  progressRef.current = { step, stepKey };
+  useEffect(() => {
+    const onLeave = () => {
+      if (progressRef.current.step > 0) track("lead_abandon", { step: progressRef.current.stepKey });
+    };
+    window.addEventListener("pagehide", onLeave);
+    return () => window.removeEventListener("pagehide", onLeave);
+  }, []);
+
+  const goTo = (next) => {
+    startProofOfWork();
+    track("lead_step_view", { step: WIZARD_STEPS[next], index: next });
+    setStep(next);
+    requestAnimationFrame(() => headingRef.current?.focus());
+  };
+
+  const checkDetails = (form) => {
+    const { values, errors: fieldErrors, valid } = validateLead(state, LEAD_SCHEMA, validation);
+    setErrors(fieldErrors);
+    if (!valid) {
+      const first = LEAD_SCHEMA.find((f) => fieldErrors[f.name]);
+      form.elements.namedItem(first.name)?.focus();
+    }
+    return valid ? values : null;
+  };
+
+  const onNext = (form) => {
+    if (question && !isAnswered(answers[question.key])) return;
+    if (stepKey === "details" && !checkDetails(form)) return;
+    goTo(step + 1);
+  };
 
   const onSubmit = async (e) => {
     e.preventDefault();
+    if (stepKey !== "review") {
+      onNext(e.currentTarget);
+      return;
+    }
+    const { values, valid } = validateLead(state, LEAD_SCHEMA, validation);
+    if (!valid) {
+      goTo(WIZARD_STEPS.indexOf("details"));
+      return;
+    }
+    const rejection = screenSubmission({
+      honeypot: e.currentTarget.elements.namedItem(HONEYPOT_FIELD)?.value,
+      startedAt: guard.startedAt,
+    });
+    if (rejection) {
+      // Look successful to the bot; never spend a webhook operation on it
+      recordRejection(rejection);
+      setResults([]);
+      setStatus("sent");
+      reset();
+      return;
+    }
     setLoading(true);
-    setOk(null);
+    setStatus(null);
+    setResults([]);
+    const payload = {
+      source: "website",
+      locale: i18n.locale,
+      ts: new Date().toISOString(),
+      idempotencyKey: createIdempotencyKey(),
+      ...values,
+      qualification: answers,
+      ...context,
+      attribution: getAttribution(),
+    };
     try {
-      const res = await fetch(webhook, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          source: "website",
-          ts: new Date().toISOString(),
-          ...state,
-        }),
-      });
-      setOk(res.ok);
-      setState({ name: "", email: "", phone: "", company: "", message: "" });
+      payload.pow = await startProofOfWork();
+      const delivered = await submitLead(sinks, payload);
+      const failed = delivered.filter((r) => r.status === "failed").length;
+      setPendingId(payload.idempotencyKey);
+      setResults(delivered);
+      if (failed === delivered.length) {
+        // Neither delivered nor persisted anywhere — keep the answers so nothing is lost
+        track("lead_submit", { status: "error" });
+        setStatus("error");
+        return;
+      }
+      const outcome = delivered.some((r) => r.status === "queued") ? "queued" : "sent";
+      track("lead_submit", { status: outcome, ...Object.fromEntries(delivered.map((r) => [`sink_${r.id}`, r.status])) });
+      setStatus(outcome);
+      reset();
     } catch (err) {
-      setOk(false);
+      // Neither delivered nor persisted — keep the answers so nothing is lost
+      setStatus("error");
     } finally {
       setLoading(false);
     }
   };
 
+  const onChange = (name) => (e) => {
+    const next = { ...state, [name]: e.target.value };
+    setState(next);
+    onDraft?.({ name: next.name.trim(), email: next.email.trim() });
+    if (errors[name]) setErrors({ ...errors, [name]: undefined });
+  };
+
+  const onBlur = (field) => () => {
+    if (!state[field.name]) return; // don't nag about untouched empty fields
+    setErrors({ ...errors, [field.name]: validateField(field, state[field.name], validation).error });
+  };
+
+  const choose = (q, value) => {
+    if (!q.multiple) {
+      setAnswers({ ...answers, [q.key]: value });
+      return;
+    }
+    const current = answers[q.key];
+    setAnswers({
+      ...answers,
+      [q.key]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value],
+    });
+  };
+
+  const labelFor = (q, value) => q.options.find((o) => o.value === value)?.label(i18n) ?? value;
+
   return (
-    <form onSubmit={onSubmit} className="grid grid-cols-1 gap-4 md:grid-cols-2">
-      <Input label="Full name" value={state.name} onChange={(e) => setState({ ...state, name: e.target.value })} required />
-      <Input type="email" label="Email" value={state.email} onChange={(e) => setState({ ...state, email: e.target.value })} required />
-      <Input label="Company" value={state.company} onChange={(e) => setState({ ...state, company: e.target.value })} />
-      <Input label="Phone" value={state.phone} onChange={(e) => setState({ ...state, phone: e.target.value })} />
-      <TextArea className="md:col-span-2" label="What are you hoping to build?" value={state.message} onChange={(e) => setState({ ...state, message: e.target.value })} required />
-      <div className="md:col-span-2 flex items-center gap-3 pt-2">
-        <button
-          disabled={loading}
-          className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition hover:-translate-y-0.5 hover:shadow-lg disabled:opacity-60 dark:bg-white dark:text-zinc-900"
+    <form onSubmit={onSubmit} onFocus={startProofOfWork} noValidate className="relative">
+      {/* Honeypot — hidden from people and assistive tech, irresistible to form-filling bots */}
+      <div aria-hidden="true" className="absolute -left-[10000px] top-auto h-px w-px overflow-hidden">
+        <label>
+          Website
+          <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" defaultValue="" />
+        </label>
+      </div>
+      {/* Progress */}
+      <div className="flex items-center justify-between text-xs text-zinc-500 dark:text-zinc-400">
+        <span>{t("lead.progress", { step: step + 1, total: WIZARD_STEPS.length })}</span>
+        <span>{i18n.formatPercent((step + 1) / WIZARD_STEPS.length)}</span>
+      </div>
+      <div
+        role="progressbar"
+        aria-valuemin={1}
+        aria-valuemax={WIZARD_STEPS.length}
+        aria-valuenow={step + 1}
+        aria-label={t("lead.progressLabel")}
+        className="mt-2 h-1 w-full overflow-hidden rounded-full bg-zinc-200 dark:bg-zinc-800"
+      >
+        <motion.div
+          className="h-full bg-indigo-600 dark:bg-indigo-400"
+          animate={{ width: `${((step + 1) / WIZARD_STEPS.length) * 100}%` }}
+          transition={{ duration: 0.3, ease: "easeOut" }}
+        />
+      </div>
+
+      <AnimatePresence mode="wait" initial={false}>
+        <motion.div
+          key={stepKey}
+          initial={{ opacity: 0, x: 16 }}
+          animate={{ opacity: 1, x: 0 }}
+          exit={{ opacity: 0, x: -16 }}
+          transition={{ duration: 0.2 }}
+          className="mt-6"
         >
-          {loading ? (
+          {question && (
+            <fieldset>
+              <legend ref={headingRef} tabIndex={-1} className="text-lg font-semibold text-zinc-900 outline-none dark:text-white">
+                {t(`lead.${question.key}.title`)}
+              </legend>
+              {question.multiple && <p className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">{t("lead.selectAll")}</p>}
+              <div role={question.multiple ? "group" : "radiogroup"} className="mt-4 flex flex-wrap gap-2">
+                {question.options.map((o) => {
+                  const value = answers[question.key];
+                  const selected = question.multiple ? value.includes(o.value) : value === o.value;
+                  return (
+                    <button
+                      key={o.value}
+                      type="button"
+                      role={question.multiple ? "checkbox" : "radio"}
+                      aria-checked={selected}
+                      onClick={() => choose(question, o.value)}
+                      className={`inline-flex items-center gap-1.5 rounded-2xl border px-4 py-2 text-sm transition ${
+                        selected
+                          ? "border-indigo-400 bg-indigo-50 text-indigo-700 dark:border-indigo-500/50 dark:bg-indigo-500/10 dark:text-indigo-300"
+                          : "border-zinc-200 bg-white/70 text-zinc-700 hover:bg-zinc-50 dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300 dark:hover:bg-zinc-800"
+                      }`}
+                    >
+                      {selected && <Check className="h-3.5 w-3.5" />} {o.label(i18n)}
+                    </button>
+                  );
+                })}
+              </div>
+            </fieldset>
+          )}
+
+          {stepKey === "details" && (
             <>
-              <Timer className="h-4 w-4 animate-spin" /> Sending
+              <h3 ref={headingRef} tabIndex={-1} className="text-lg font-semibold text-zinc-900 outline-none dark:text-white">
+                {t("lead.details")}
+              </h3>
+              <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-2">
+                {LEAD_SCHEMA.map((field) => {
+                  const Field = field.multiline ? TextArea : Input;
+                  return (
+                    <Field
+                      key={field.name}
+                      name={field.name}
+                      type={field.multiline ? undefined : field.type}
+                      label={t(`lead.field.${field.name}`)}
+                      hint={field.hint && t(`lead.field.${field.name}.hint`)}
+                      autoComplete={field.autoComplete}
+                      className={field.className}
+                      value={state[field.name]}
+                      onChange={onChange(field.name)}
+                      onBlur={onBlur(field)}
+                      required={field.required}
+                      maxLength={field.maxLength}
+                      error={errors[field.name]}
+                    />
+                  );
+                })}
+              </div>
             </>
-          ) : (
+          )}
+
+          {stepKey === "review" && (
             <>
-              <ClipboardCheck className="h-4 w-4" /> Submit request
+              <h3 ref={headingRef} tabIndex={-1} className="text-lg font-semibold text-zinc-900 outline-none dark:text-white">
+                {t("lead.review")}
+              </h3>
+              <dl className="mt-4 divide-y divide-zinc-200 rounded-2xl border border-zinc-200 text-sm dark:divide-zinc-800 dark:border-zinc-800">
+                {QUALIFICATION_STEPS.map((q, i) => (
+                  <ReviewRow key={q.key} label={t(`lead.${q.key}.title`)} onEdit={() => goTo(i)}>
+                    {q.multiple
+                      ? answers[q.key].map((v) => labelFor(q, v)).join(", ")
+                      : labelFor(q, answers[q.key])}
+                  </ReviewRow>
+                ))}
+                {LEAD_SCHEMA.filter((f) => state[f.name]).map((f) => (
+                  <ReviewRow key={f.name} label={t(`lead.field.${f.name}`)} onEdit={() => goTo(WIZARD_STEPS.indexOf("details"))}>
+                    {state[f.name]}
+                  </ReviewRow>
+                ))}
+              </dl>
             </>
           )}
-        </button>
-        {ok === true && (
-          <span className="text-sm text-emerald-600 dark:text-emerald-400">Thanks — we\'ll be in touch shortly.</span>
+        </motion.div>
+      </AnimatePresence>
+
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        {step > 0 && (
+          <button
+            type="button"
+            onClick={() => goTo(step - 1)}
+            className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-5 py-3 text-sm text-zinc-700 transition hover:bg-zinc-50 dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300 dark:hover:bg-zinc-800"
+          >
+            {t("lead.back")}
+          </button>
+        )}
+        {stepKey === "review" ? (
+          <button
+            type="submit"
+            disabled={loading}
+            className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg disabled:opacity-60 dark:bg-white dark:text-zinc-900"
+          >
+            {loading ? (
+              <>
+                <Timer className="h-4 w-4 animate-spin" /> {t("lead.sending")}
+              </>
+            ) : (
+              <>
+                <ClipboardCheck className="h-4 w-4" /> {t("lead.submit")}
+              </>
+            )}
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={question && !isAnswered(answers[question.key])}
+            className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg disabled:opacity-60 motion-ok:disabled:hover:translate-y-0 dark:bg-white dark:text-zinc-900"
+          >
+            {t("lead.next")} <ArrowRight className="h-4 w-4" />
+          </button>
         )}
-        {ok === false && (
-          <span className="text-sm text-red-600">Something went wrong — email hello@oceanside.ai</span>
+        {status === "sent" && (
+          <span className="text-sm text-emerald-600 dark:text-emerald-400">{t("lead.sent")}</span>
+        )}
+        {status === "queued" && (
+          <span className="text-sm text-amber-600 dark:text-amber-400">{t("lead.queued")}</span>
+        )}
+        {status === "error" && (
+          <span className="text-sm text-red-600">{t("lead.error")}</span>
+        )}
+        {status === "expired" && (
+          <span className="text-sm text-red-600">{t("lead.expired")}</span>
         )}
       </div>
+      {sinks.length > 1 && results.length > 0 && (
+        <ul className="mt-3 flex flex-wrap gap-2 text-xs">
+          {results.map((r) => (
+            <li
+              key={r.id}
+              className={`inline-flex items-center gap-1 rounded-full px-3 py-1 ${
+                r.status === "sent"
+                  ? "bg-emerald-50 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-300"
+                  : r.status === "queued"
+                  ? "bg-amber-50 text-amber-700 dark:bg-amber-500/10 dark:text-amber-300"
+                  : "bg-red-50 text-red-700 dark:bg-red-500/10 dark:text-red-300"
+              }`}
+            >
+              {r.status === "sent" && <Check className="h-3.5 w-3.5" />} {r.label}: {t(`lead.sink.${r.status}`)}
+            </li>
+          ))}
+        </ul>
+      )}
     </form>
   );
 }
 
-const Input = ({ label, className = "", ...props }) => (
-  <label className={`group relative block ${className}`}>
-    <span className="mb-2 block text-xs font-medium uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{label}</span>
-    <input
-      {...props}
-      className="w-full rounded-2xl border border-zinc-200/80 bg-white/80 px-4 py-3 text-sm text-zinc-900 outline-none ring-0 transition placeholder:text-zinc-400 focus:border-zinc-300 focus:shadow-sm dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-100 dark:placeholder:text-zinc-500"
-    />
-  </label>
+const ReviewRow = ({ label, onEdit, children }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-start justify-between gap-4 px-4 py-3">
+      <div>
+        <dt className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{label}</dt>
+        <dd className="mt-1 whitespace-pre-line text-zinc-800 dark:text-zinc-200">{children}</dd>
+      </div>
+      <button type="button" onClick={onEdit} className="shrink-0 text-xs text-indigo-600 hover:underline dark:text-indigo-400">
+        {t("lead.edit")}
+      </button>
+    </div>
+  );
+};
+
+const FieldShell = ({ label, hint, error, className, children }) => {
+  const id = useId();
+  const describedBy = [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(" ") || undefined;
+  return (
+    <label className={`group relative block ${className}`}>
+      <span className="mb-2 block text-xs font-medium uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{label}</span>
+      {children({ "aria-invalid": error ? true : undefined, "aria-describedby": describedBy })}
+      {hint && !error && (
+        <span id={`${id}-hint`} className="mt-1.5 block text-xs text-zinc-500 dark:text-zinc-400">{hint}</span>
+      )}
+      {error && (
+        <span id={`${id}-error`} role="alert" className="mt-1.5 block text-xs text-red-600 dark:text-red-400">{error}</span>
+      )}
+    </label>
+  );
+};
+
+const fieldClass = (error) =>
+  `w-full rounded-2xl border bg-white/80 px-4 py-3 text-sm text-zinc-900 outline-none ring-0 transition placeholder:text-zinc-400 focus:shadow-sm dark:bg-zinc-900/70 dark:text-zinc-100 dark:placeholder:text-zinc-500 ${
+    error
+      ? "border-red-400 focus:border-red-500 dark:border-red-500/60"
+      : "border-zinc-200/80 focus:border-zinc-300 dark:border-zinc-800"
+  }`;
+
+const Input = ({ label, hint, error, className = "", ...props }) => (
+  <FieldShell label={label} hint={hint} error={error} className={className}>
+    {(aria) => <input {...props} {...aria} className={fieldClass(error)} />}
+  </FieldShell>
 );
 
-const TextArea = ({ label, className = "", ...props }) => (
-  <label className={`group relative block ${className}`}>
-    <span className="mb-2 block text-xs font-medium uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{label}</span>
-    <textarea
-      rows={5}
-      {...props}
-      className="w-full rounded-2xl border border-zinc-200/80 bg-white/80 px-4 py-3 text-sm text-zinc-900 outline-none ring-0 transition placeholder:text-zinc-400 focus:border-zinc-300 focus:shadow-sm dark:border-zinc-800 dark:bg-zinc-900/70 dark:text-zinc-100 dark:placeholder:text-zinc-500"
-    />
-  </label>
+const TextArea = ({ label, hint, error, className = "", ...props }) => (
+  <FieldShell label={label} hint={hint} error={error} className={className}>
+    {(aria) => <textarea rows={5} {...props} {...aria} className={fieldClass(error)} />}
+  </FieldShell>
 );
 
 /********************
  * Hero Section      *
  ********************/
 
-const Hero = ({ onOpenCalendly }) => {
+const Hero = ({ onOpenCalendly, onHandoff }) => {
   const { scrollYProgress } = useScroll();
   const y = useTransform(scrollYProgress, [0, 1], [0, -80]);
+  const reduced = useReduceMotion();
+  const { t, content } = useI18n();
 
   return (
     <Section id="home" className="relative overflow-hidden pt-20 md:pt-28" full>
@@ -551,10 +1467,10 @@ const Hero = ({ onOpenCalendly }) => {
       </div>
 
       <Container className="relative">
-        <motion.div style={{ y }} className="mx-auto max-w-3xl text-center">
+        <motion.div style={reduced ? undefined : { y }} className="mx-auto max-w-3xl text-center">
           <motion.div variants={fadeUp} initial="hidden" animate="show" className="inline-flex items-center gap-2 rounded-full border border-zinc-200 bg-white/70 px-3 py-1 text-xs text-zinc-700 backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300">
             <Waves className="h-4 w-4 text-indigo-500" />
-            <span>Voice AI engineered with cybersecurity rigor</span>
+            <span>{t("hero.badge")}</span>
           </motion.div>
 
           <motion.h1
@@ -563,7 +1479,7 @@ const Hero = ({ onOpenCalendly }) => {
             animate="show"
             className="mt-6 text-balance text-4xl font-semibold tracking-tight text-zinc-900 sm:text-5xl md:text-6xl dark:text-white"
           >
-            {COMPANY.name}
+            {content.name}
           </motion.h1>
 
           <motion.p
@@ -572,31 +1488,34 @@ const Hero = ({ onOpenCalendly }) => {
             animate="show"
             className="mx-auto mt-5 max-w-2xl text-pretty text-lg leading-relaxed text-zinc-700 dark:text-zinc-300"
           >
-            {COMPANY.tagline}
+            {content.tagline}
           </motion.p>
 
           <motion.div variants={stagger} initial="hidden" animate="show" className="mt-10 flex flex-wrap items-center justify-center gap-3">
             <motion.button
               variants={fadeUp}
-              onClick={onOpenCalendly}
-              className="group inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-6 py-3 text-sm font-medium text-white shadow-sm transition hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+              onClick={() => onOpenCalendly("hero")}
+              className="group inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-6 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
             >
-              <Play className="h-4 w-4" /> Book a strategy call
-              <ChevronRight className="h-4 w-4 transition group-hover:translate-x-0.5" />
+              <Play className="h-4 w-4" /> {t("hero.book")}
+              <ChevronRight className="h-4 w-4 transition motion-ok:group-hover:translate-x-0.5" />
             </motion.button>
             <motion.a
               variants={fadeUp}
               href="#contact"
-              className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/60 px-6 py-3 text-sm font-medium text-zinc-900 shadow-sm transition hover:-translate-y-0.5 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+              onClick={() => track("cta_click", { cta: "build_voice_agent", location: "hero" })}
+              className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/60 px-6 py-3 text-sm font-medium text-zinc-900 shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
             >
-              <MousePointer2 className="h-4 w-4" /> Build my voice agent
+              <MousePointer2 className="h-4 w-4" /> {t("hero.build")}
             </motion.a>
           </motion.div>
         </motion.div>
 
-        {/* Soundwave */}
+        {/* Sample calls + soundwave + agent demo */}
         <div className="mt-14">
+          <SampleCalls />
           <SoundWaves height={360} />
+          <AgentDemo onHandoff={onHandoff} />
         </div>
 
         {/* Trust badges / clients */}
@@ -613,329 +1532,920 @@ const Hero = ({ onOpenCalendly }) => {
   );
 };
 
-const ClientRow = () => (
-  <div className="grid grid-cols-2 items-center justify-items-center gap-6 opacity-80 sm:grid-cols-3 md:grid-cols-6">
-    {["CBN News", "Retail", "Finance", "Healthcare", "SaaS", "Support"].map((c) => (
-      <div key={c} className="text-sm text-zinc-500 dark:text-zinc-400">{c}</div>
-    ))}
-  </div>
-);
-
+const ClientRow = () => {
+  const { content } = useI18n();
+  return (
+    <div className="grid grid-cols-2 items-center justify-items-center gap-6 opacity-80 sm:grid-cols-3 md:grid-cols-6">
+      {content.clients.map((c) => (
+        <div key={c} className="text-sm text-zinc-500 dark:text-zinc-400">{c}</div>
+      ))}
+    </div>
+  );
+};
+
+/********************
+ * Services Section  *
+ ********************/
+
+const Services = () => {
+  const { t, content } = useI18n();
+  return (
+    <Section id="services">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {t("services.title")}
+          </motion.h2>
+          <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
+            {t("services.intro")}
+          </motion.p>
+          <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+            {content.services.map((s) => (
+              <motion.div
+                variants={fadeUp}
+                key={s.name}
+                className="group relative overflow-hidden rounded-3xl border border-zinc-200 bg-white/60 p-6 shadow-sm transition motion-ok:hover:-translate-y-1 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60"
+              >
+                <div className="flex items-center gap-3">
+                  <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-indigo-600/10 text-indigo-600 dark:text-indigo-400"><Icon name={s.icon} className="h-6 w-6" /></div>
+                  <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{s.name}</h3>
+                </div>
+                <p className="mt-3 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{s.desc}</p>
+                <div className="pointer-events-none absolute -right-10 -top-10 h-40 w-40 rounded-full bg-indigo-600/5 blur-2xl transition-opacity group-hover:opacity-70" />
+              </motion.div>
+            ))}
+          </div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
+
+/********************
+ * Case Studies      *
+ ********************/
+
+const CaseStudies = () => {
+  const { t, locale } = useI18n();
+  return (
+    <Section id="work" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.div variants={fadeUp} className="flex items-end justify-between gap-4">
+            <div>
+              <h2 className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">{t("work.title")}</h2>
+              <p className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">{t("work.intro")}</p>
+            </div>
+            <a href="#contact" onClick={() => track("cta_click", { cta: "start_project", location: "work" })} className="hidden rounded-2xl border border-zinc-200 px-4 py-2 text-sm text-zinc-700 hover:bg-zinc-50 md:inline-flex dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-900">{t("work.start")}</a>
+          </motion.div>
+
+          <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2">
+            {CASE_STUDIES.map((study) => localized(study, locale)).map(({ slug, meta: c }) => (
+              <motion.div
+                variants={fadeUp}
+                key={slug}
+                className="group relative overflow-hidden rounded-3xl border border-zinc-200 bg-white/80 p-6 shadow-sm transition motion-ok:hover:-translate-y-1 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60"
+              >
+                <div className="flex items-center gap-3">
+                  <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
+                    <Stars className="h-5 w-5" />
+                  </div>
+                  <div>
+                    <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{c.title}</h3>
+                    <p className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{c.client}</p>
+                  </div>
+                </div>
+                <p className="mt-4 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{c.summary}</p>
+                <ul className="mt-4 flex flex-wrap gap-2">
+                  {c.impact.map((i) => (
+                    <li key={i} className="inline-flex items-center gap-1 rounded-full bg-zinc-100 px-3 py-1 text-xs text-zinc-700 dark:bg-zinc-800 dark:text-zinc-300">
+                      <Check className="h-3.5 w-3.5" /> {i}
+                    </li>
+                  ))}
+                </ul>
+                <RouteLink
+                  to={`/work/${slug}`}
+                  className="relative z-10 mt-6 inline-flex items-center gap-2 text-sm font-medium text-zinc-900 hover:underline dark:text-white"
+                >
+                  {t("work.readMore")} <ArrowRight className="h-4 w-4 transition motion-ok:group-hover:translate-x-0.5" />
+                </RouteLink>
+                <div className="pointer-events-none absolute -bottom-10 -right-10 h-56 w-56 rounded-full bg-indigo-600/10 blur-2xl transition-opacity group-hover:opacity-70" />
+              </motion.div>
+            ))}
+          </div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
+
+/********************
+ * Insights          *
+ ********************/
+
+const TagLink = ({ tag, active = false, children }) => (
+  <RouteLink
+    to={tag ? `/insights/tag/${tag}` : "/insights"}
+    aria-current={active ? "page" : undefined}
+    className={`rounded-full px-3 py-1 text-xs transition ${
+      active
+        ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"
+        : "bg-zinc-100 text-zinc-700 hover:bg-zinc-200 dark:bg-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-700"
+    }`}
+  >
+    {children ?? `#${tag}`}
+  </RouteLink>
+);
+
+const InsightCard = ({ post }) => {
+  const { t, locale, formatDate } = useI18n();
+  const { slug, meta, readingMinutes } = localized(post, locale);
+  return (
+    <motion.article
+      variants={fadeUp}
+      className="group relative flex flex-col overflow-hidden rounded-3xl border border-zinc-200 bg-white/80 p-6 shadow-sm transition motion-ok:hover:-translate-y-1 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60"
+    >
+      <p className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">
+        <time dateTime={meta.date}>{formatDate(meta.date)}</time> · {t("insights.readingTime", { minutes: readingMinutes })}
+      </p>
+      <h3 className="mt-3 text-lg font-semibold text-zinc-900 dark:text-white">{meta.title}</h3>
+      <p className="mt-3 flex-1 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{meta.summary}</p>
+      <div className="mt-4 flex flex-wrap gap-2">
+        {meta.tags.map((tag) => (
+          <TagLink key={tag} tag={tag} />
+        ))}
+      </div>
+      <RouteLink
+        to={`/insights/${slug}`}
+        className="mt-6 inline-flex items-center gap-2 text-sm font-medium text-zinc-900 hover:underline dark:text-white"
+      >
+        {t("insights.read")} <ArrowRight className="h-4 w-4 transition motion-ok:group-hover:translate-x-0.5" />
+      </RouteLink>
+    </motion.article>
+  );
+};
+
+const LATEST_INSIGHTS = 3;
+
+const LatestInsights = () => {
+  const { t } = useI18n();
+  if (!INSIGHTS.length) return null;
+  return (
+    <Section id="insights">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.div variants={fadeUp} className="flex items-end justify-between gap-4">
+            <div>
+              <h2 className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">{t("insights.latest")}</h2>
+              <p className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">{t("insights.intro")}</p>
+            </div>
+            <RouteLink to="/insights" className="hidden rounded-2xl border border-zinc-200 px-4 py-2 text-sm text-zinc-700 hover:bg-zinc-50 md:inline-flex dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-900">
+              {t("insights.viewAll")}
+            </RouteLink>
+          </motion.div>
+          <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-3">
+            {INSIGHTS.slice(0, LATEST_INSIGHTS).map((post) => (
+              <InsightCard key={post.slug} post={post} />
+            ))}
+          </div>
+          <motion.div variants={fadeUp} className="mt-6 md:hidden">
+            <RouteLink to="/insights" className="inline-flex items-center gap-2 text-sm font-medium text-zinc-900 hover:underline dark:text-white">
+              {t("insights.viewAll")} <ArrowRight className="h-4 w-4" />
+            </RouteLink>
+          </motion.div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
+
+/********************
+ * Mission + Pillars *
+ ********************/
+
+const Mission = () => {
+  const { t, content } = useI18n();
+  return (
+    <Section id="mission">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {t("mission.title")}
+          </motion.h2>
+          <motion.p variants={fadeUp} className="mt-3 max-w-3xl text-lg text-zinc-700 dark:text-zinc-300">
+            {content.mission}
+          </motion.p>
+          <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-3">
+            {content.pillars.map((p) => (
+              <motion.div
+                key={p.title}
+                variants={fadeUp}
+                className="rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60"
+              >
+                <div className="flex items-center gap-3">
+                  <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900"><Icon name={p.icon} className="h-5 w-5" /></div>
+                  <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{p.title}</h3>
+                </div>
+                <p className="mt-3 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{p.text}</p>
+              </motion.div>
+            ))}
+          </div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
+
 /********************
- * Services Section  *
+ * About Story       *
  ********************/
 
-const Services = () => (
-  <Section id="services">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          Production‑ready voice agents
-        </motion.h2>
-        <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
-          From first call to full scale. We design, secure, deploy, and optimize agents that represent your brand and deliver measurable ROI.
-        </motion.p>
-        <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
-          {COMPANY.services.map((s) => (
-            <motion.div
-              variants={fadeUp}
-              key={s.name}
-              className="group relative overflow-hidden rounded-3xl border border-zinc-200 bg-white/60 p-6 shadow-sm transition hover:-translate-y-1 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60"
-            >
-              <div className="flex items-center gap-3">
-                <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-indigo-600/10 text-indigo-600 dark:text-indigo-400">{s.icon}</div>
-                <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{s.name}</h3>
+const About = () => {
+  const { t, locale, content } = useI18n();
+  const about = localized(ABOUT, locale);
+  return (
+    <Section id="about" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {about.meta.title}
+          </motion.h2>
+          <motion.div variants={fadeUp} className="mt-6 grid grid-cols-1 gap-8 md:grid-cols-5">
+            <div className="md:col-span-3">
+              <Prose html={about.html} className="text-pretty" />
+            </div>
+            <div className="md:col-span-2">
+              <div className="rounded-3xl border border-zinc-200 bg-white/70 p-6 dark:border-zinc-800 dark:bg-zinc-900/70">
+                <h3 className="text-sm font-semibold uppercase tracking-wider text-zinc-500 dark:text-zinc-400">{t("about.credentials")}</h3>
+                <ul className="mt-4 space-y-3 text-sm text-zinc-700 dark:text-zinc-300">
+                  {content.about.credentials.map((c) => (
+                    <li key={c.text} className="flex items-center gap-2"><Icon name={c.icon} className="h-4 w-4" /> {c.text}</li>
+                  ))}
+                </ul>
               </div>
-              <p className="mt-3 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{s.desc}</p>
-              <div className="pointer-events-none absolute -right-10 -top-10 h-40 w-40 rounded-full bg-indigo-600/5 blur-2xl transition-opacity group-hover:opacity-70" />
-            </motion.div>
-          ))}
-        </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+            </div>
+          </motion.div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
 
 /********************
- * Case Studies      *
+ * Integrations      *
  ********************/
 
-const CaseStudies = () => (
-  <Section id="work" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.div variants={fadeUp} className="flex items-end justify-between gap-4">
-          <div>
-            <h2 className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">Selected work</h2>
-            <p className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">A snapshot of outcomes delivered with secure, human‑grade voice UX.</p>
+const Integrations = () => {
+  const { t, content } = useI18n();
+  return (
+    <Section id="integrations">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {t("integrations.title")}
+          </motion.h2>
+          <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
+            {t("integrations.intro")}
+          </motion.p>
+          <div className="mt-10 grid grid-cols-2 gap-4 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6">
+            {content.integrations.map((name) => (
+              <motion.div
+                key={name}
+                variants={fadeUp}
+                className="flex items-center justify-center rounded-2xl border border-zinc-200 bg-white/70 px-4 py-6 text-sm text-zinc-700 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300"
+              >
+                {name}
+              </motion.div>
+            ))}
           </div>
-          <a href="#contact" className="hidden rounded-2xl border border-zinc-200 px-4 py-2 text-sm text-zinc-700 hover:bg-zinc-50 md:inline-flex dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-900">Start a project</a>
         </motion.div>
-
-        <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2">
-          {COMPANY.caseStudies.map((c) => (
-            <motion.div
-              variants={fadeUp}
-              key={c.title}
-              className="group relative overflow-hidden rounded-3xl border border-zinc-200 bg-white/80 p-6 shadow-sm transition hover:-translate-y-1 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60"
-            >
-              <div className="flex items-center gap-3">
-                <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
-                  <Stars className="h-5 w-5" />
-                </div>
-                <div>
-                  <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{c.title}</h3>
-                  <p className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{c.logo}</p>
-                </div>
-              </div>
-              <p className="mt-4 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{c.summary}</p>
-              <ul className="mt-4 flex flex-wrap gap-2">
-                {c.impact.map((i) => (
-                  <li key={i} className="inline-flex items-center gap-1 rounded-full bg-zinc-100 px-3 py-1 text-xs text-zinc-700 dark:bg-zinc-800 dark:text-zinc-300">
-                    <Check className="h-3.5 w-3.5" /> {i}
-                  </li>
-                ))}
-              </ul>
-              <div className="pointer-events-none absolute -bottom-10 -right-10 h-56 w-56 rounded-full bg-indigo-600/10 blur-2xl transition-opacity group-hover:opacity-70" />
-            </motion.div>
-          ))}
-        </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+      </Container>
+    </Section>
+  );
+};
 
 /********************
- * Mission + Pillars *
+ * Pricing           *
  ********************/
 
-const Mission = () => (
-  <Section id="mission">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          Mission
-        </motion.h2>
-        <motion.p variants={fadeUp} className="mt-3 max-w-3xl text-lg text-zinc-700 dark:text-zinc-300">
-          {COMPANY.mission}
-        </motion.p>
-        <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-3">
-          {COMPANY.pillars.map((p) => (
-            <motion.div
-              key={p.title}
-              variants={fadeUp}
-              className="rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60"
-            >
-              <div className="flex items-center gap-3">
-                <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">{p.icon}</div>
-                <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{p.title}</h3>
+const RoiCalculator = ({ inputs, onChange, estimate, currency, onGetStarted }) => {
+  const { t, content, formatMoney, formatNumber, formatPercent } = useI18n();
+  const id = useId();
+  const tierIndex = COMPANY.pricing.findIndex((p) => p.tier === estimate.tier);
+  const units = { hourlyCost: currency, dealValue: currency, missedRate: "%" };
+  return (
+    <motion.div
+      variants={fadeUp}
+      className="mt-10 grid grid-cols-1 gap-8 rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm md:grid-cols-2 dark:border-zinc-800 dark:bg-zinc-900/60"
+    >
+      <div>
+        <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{t("roi.title")}</h3>
+        <p className="mt-1 text-sm text-zinc-500 dark:text-zinc-400">{t("roi.intro")}</p>
+        <div className="mt-6 space-y-4">
+          {ROI_INPUTS.map((input) => (
+            <div key={input.name} className="flex items-center justify-between gap-4">
+              <label htmlFor={`${id}-${input.name}`} className="text-sm text-zinc-700 dark:text-zinc-300">
+                {t(`roi.field.${input.name}`)}
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  id={`${id}-${input.name}`}
+                  type="number"
+                  inputMode="decimal"
+                  min={input.min}
+                  max={input.max}
+                  step={input.step}
+                  value={inputs[input.name]}
+                  onChange={(e) => onChange(input.name, e.target.value)}
+                  className={`${fieldClass(false)} w-32 text-right`}
+                />
+                <span className="w-10 text-xs text-zinc-500 dark:text-zinc-400">{units[input.name]}</span>
               </div>
-              <p className="mt-3 text-sm leading-relaxed text-zinc-600 dark:text-zinc-400">{p.text}</p>
-            </motion.div>
+            </div>
           ))}
         </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
-
-/********************
- * About Story       *
- ********************/
+      </div>
 
-const About = () => (
-  <Section id="about" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          {COMPANY.about.heading}
-        </motion.h2>
-        <motion.div variants={fadeUp} className="mt-6 grid grid-cols-1 gap-8 md:grid-cols-5">
-          <div className="md:col-span-3">
-            <p className="whitespace-pre-line text-pretty text-zinc-700 dark:text-zinc-300">{COMPANY.about.story}</p>
+      <div className="flex flex-col justify-between rounded-2xl bg-zinc-50 p-5 dark:bg-zinc-950/40" aria-live="polite">
+        <dl className="space-y-4">
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{t("roi.savings")}</dt>
+            <dd className="mt-1 text-2xl font-semibold tracking-tight text-zinc-900 dark:text-white">{formatMoney(estimate.savings, currency)}</dd>
           </div>
-          <div className="md:col-span-2">
-            <div className="rounded-3xl border border-zinc-200 bg-white/70 p-6 dark:border-zinc-800 dark:bg-zinc-900/70">
-              <h3 className="text-sm font-semibold uppercase tracking-wider text-zinc-500 dark:text-zinc-400">Credentials</h3>
-              <ul className="mt-4 space-y-3 text-sm text-zinc-700 dark:text-zinc-300">
-                <li className="flex items-center gap-2"><Lock className="h-4 w-4" /> Cybersecurity specialist founder</li>
-                <li className="flex items-center gap-2"><Telescope className="h-4 w-4" /> Journalism background: fast, accurate, human tone</li>
-                <li className="flex items-center gap-2"><Sparkles className="h-4 w-4" /> Q&A‑driven content extraction and style transfer</li>
-                <li className="flex items-center gap-2"><Zap className="h-4 w-4" /> 4h → 20m script drafting breakthrough</li>
-              </ul>
-            </div>
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{t("roi.recovered")}</dt>
+            <dd className="mt-1 text-2xl font-semibold tracking-tight text-zinc-900 dark:text-white">
+              {formatMoney(estimate.recoveredRevenue, currency)}
+            </dd>
+            <dd className="text-xs text-zinc-500 dark:text-zinc-400">
+              {t("roi.recoveredHint", { calls: formatNumber(estimate.recoveredCalls), rate: formatPercent(DEAL_RATE) })}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-xs uppercase tracking-wide text-zinc-500 dark:text-zinc-400">{t("roi.recommended")}</dt>
+            <dd className="mt-1 text-lg font-semibold text-zinc-900 dark:text-white">{content.pricing[tierIndex].tier}</dd>
+            <dd className="text-xs text-zinc-500 dark:text-zinc-400">
+              {t("roi.minutes", { minutes: formatNumber(estimate.minutes) })} ·{" "}
+              {estimate.net === null ? t("roi.netCustom") : t("roi.net", { amount: formatMoney(estimate.net, currency) })}
+            </dd>
+          </div>
+        </dl>
+        <button
+          onClick={onGetStarted}
+          className="mt-6 inline-flex items-center justify-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+        >
+          <ArrowRight className="h-4 w-4" /> {t("roi.getStarted", { tier: content.pricing[tierIndex].tier })}
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+// Monthly/annual switch and currency picker above the tier cards
+const PricingControls = ({ billing, setBilling, currency, setCurrency }) => {
+  const { t, formatPercent } = useI18n();
+  const segment = (active) =>
+    `rounded-xl px-3 py-1.5 text-sm transition ${
+      active ? "bg-zinc-900 text-white dark:bg-white dark:text-zinc-900" : "text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white"
+    }`;
+  return (
+    <motion.div variants={fadeUp} className="mt-8 flex flex-wrap items-center gap-3">
+      <div role="group" aria-label={t("pricing.billing")} className="inline-flex rounded-2xl border border-zinc-200 bg-white/70 p-1 dark:border-zinc-800 dark:bg-zinc-900/60">
+        {BILLING_PERIODS.map((period) => (
+          <button key={period} type="button" aria-pressed={billing === period} onClick={() => setBilling(period)} className={segment(billing === period)}>
+            {t(`pricing.${period}`)}
+            {period === "annual" && ANNUAL_DISCOUNT > 0 && (
+              <span className="ml-2 text-xs text-indigo-500 dark:text-indigo-300">{t("pricing.save", { percent: formatPercent(ANNUAL_DISCOUNT) })}</span>
+            )}
+          </button>
+        ))}
+      </div>
+      {CURRENCIES.length > 1 && (
+        <select
+          value={currency}
+          onChange={(e) => setCurrency(e.target.value)}
+          aria-label={t("pricing.currency")}
+          className="rounded-2xl border border-zinc-200 bg-white/70 px-3 py-2 text-sm text-zinc-900 dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+        >
+          {CURRENCIES.map((code) => (
+            <option key={code} value={code}>
+              {code}
+            </option>
+          ))}
+        </select>
+      )}
+    </motion.div>
+  );
+};
+
+// Every `comparison` row across the tiers; collapsed until the visitor asks for it
+const PricingComparison = () => {
+  const { t, content } = useI18n();
+  if (!content.comparison?.length) return null;
+  return (
+    <motion.details variants={fadeUp} className="group mt-6 rounded-3xl border border-zinc-200 bg-white/70 dark:border-zinc-800 dark:bg-zinc-900/60">
+      <summary className="flex cursor-pointer list-none items-center justify-between gap-4 px-6 py-5 text-sm font-medium text-zinc-800 hover:bg-zinc-50/60 dark:text-zinc-200 dark:hover:bg-zinc-800/60">
+        {t("pricing.compare")}
+        <ChevronRight className="h-4 w-4 transition group-open:rotate-90" />
+      </summary>
+      <div className="overflow-x-auto px-6 pb-6">
+        <table className="w-full min-w-[36rem] text-left text-sm">
+          <thead>
+            <tr className="border-b border-zinc-200 dark:border-zinc-800">
+              <th scope="col" className="py-3 pr-4 font-medium text-zinc-500 dark:text-zinc-400">{t("pricing.feature")}</th>
+              {content.pricing.map((p) => (
+                <th key={p.tier} scope="col" className="px-4 py-3 text-center font-semibold text-zinc-900 dark:text-white">{p.tier}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-zinc-200 dark:divide-zinc-800">
+            {content.comparison.map((row) => (
+              <tr key={row.feature}>
+                <th scope="row" className="py-3 pr-4 font-normal text-zinc-700 dark:text-zinc-300">{row.feature}</th>
+                {row.values.map((value, i) => (
+                  <td key={content.pricing[i]?.tier ?? i} className="px-4 py-3 text-center text-zinc-700 dark:text-zinc-300">
+                    {value === true && (
+                      <>
+                        <Check className="mx-auto h-4 w-4 text-indigo-600 dark:text-indigo-400" aria-hidden="true" />
+                        <span className="sr-only">{t("pricing.included")}</span>
+                      </>
+                    )}
+                    {value === false && (
+                      <>
+                        <span aria-hidden="true" className="text-zinc-400 dark:text-zinc-600">—</span>
+                        <span className="sr-only">{t("pricing.notIncluded")}</span>
+                      </>
+                    )}
+                    {typeof value === "string" && value}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </motion.details>
+  );
+};
+
+const Pricing = ({ onHandoff }) => {
+  const { t, content, formatMoney } = useI18n();
+  const [billing, setBilling] = useState("monthly");
+  const [currency, setCurrency] = useState(content.currency);
+  // What the visitor typed (half-typed numbers included); the estimate uses the clamped values
+  const [roiInputs, setRoiInputs] = useState(initialRoiInputs);
+  // Only numbers the visitor actually entered travel with the lead
+  const [roiTouched, setRoiTouched] = useState(false);
+  const roiValues = useMemo(
+    () => Object.fromEntries(Object.entries(roiInputs).map(([name, value]) => [name, clampRoiInput(name, value)])),
+    [roiInputs]
+  );
+  const estimate = useMemo(() => estimateRoi(roiValues, { billing, currency }), [roiValues, billing, currency]);
+
+  const changeRoi = (name, value) => {
+    setRoiInputs({ ...roiInputs, [name]: value });
+    setRoiTouched(true);
+  };
+
+  // The calculator's money inputs follow the currency, so a switch doesn't change what they mean
+  const changeCurrency = (next) => {
+    setRoiInputs(
+      Object.fromEntries(
+        ROI_INPUTS.map(({ name, money }) => [name, money ? Math.round(exchange(roiValues[name], currency, next)) : roiInputs[name]])
+      )
+    );
+    setCurrency(next);
+    track("pricing_currency", { currency: next });
+  };
+
+  const changeBilling = (next) => {
+    setBilling(next);
+    track("pricing_billing", { billing: next });
+  };
+
+  const getStarted = (tier, withRoi) => {
+    onHandoff({
+      answers: { tier },
+      context: { pricing: { billing, currency }, ...(withRoi ? { roi: { inputs: roiValues, estimate } } : {}) },
+    });
+  };
+  return (
+    <Section id="pricing" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {t("pricing.title")}
+          </motion.h2>
+          <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
+            {t("pricing.intro")}
+          </motion.p>
+          <PricingControls billing={billing} setBilling={changeBilling} currency={currency} setCurrency={changeCurrency} />
+          <div className="mt-6 grid grid-cols-1 gap-6 md:grid-cols-3">
+            {content.pricing.map((p, i) => {
+              const price = planPrice(p, { billing, currency });
+              return (
+                <motion.div
+                  key={p.tier}
+                  variants={fadeUp}
+                  className={`relative overflow-hidden rounded-3xl border p-6 shadow-sm transition ${
+                    p.highlighted
+                      ? "border-indigo-300 bg-indigo-50/60 dark:border-indigo-500/30 dark:bg-indigo-500/5"
+                      : "border-zinc-200 bg-white/70 dark:border-zinc-800 dark:bg-zinc-900/60"
+                  }`}
+                >
+                  {p.highlighted && (
+                    <span className="absolute right-4 top-4 rounded-full bg-indigo-600 px-2.5 py-1 text-xs font-medium text-white">{t("pricing.popular")}</span>
+                  )}
+                  <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{p.tier}</h3>
+                  <p className="mt-1 text-sm text-zinc-500 dark:text-zinc-400">{p.tagline}</p>
+                  <div className="mt-6 text-3xl font-semibold tracking-tight text-zinc-900 dark:text-white">
+                    {price === null ? (
+                      t("pricing.custom")
+                    ) : (
+                      <>
+                        {formatMoney(price.perMonth, currency)}
+                        <span className="ml-1 text-base font-normal text-zinc-500 dark:text-zinc-400">{t("pricing.perMonth")}</span>
+                      </>
+                    )}
+                  </div>
+                  {price !== null && billing === "annual" && (
+                    <p className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">
+                      {t("pricing.billedAnnually", { amount: formatMoney(price.perPeriod, currency) })}
+                    </p>
+                  )}
+                  <ul className="mt-6 space-y-2">
+                    {p.features.map((f) => (
+                      <li key={f} className="flex items-center gap-2 text-sm text-zinc-700 dark:text-zinc-300">
+                        <Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> {f}
+                      </li>
+                    ))}
+                  </ul>
+                  <a
+                    href="#contact"
+                    onClick={(e) => {
+                      e.preventDefault();
+                      track("cta_click", { cta: "pricing_get_started", location: "pricing", tier: COMPANY.pricing[i].tier });
+                      getStarted(COMPANY.pricing[i].tier, roiTouched);
+                    }}
+                    className="mt-8 inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-4 py-2 text-sm text-zinc-900 transition motion-ok:hover:-translate-y-0.5 hover:shadow dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+                  >
+                    <ArrowRight className="h-4 w-4" /> {t("pricing.getStarted")}
+                  </a>
+                </motion.div>
+              );
+            })}
           </div>
+          <PricingComparison />
+          <RoiCalculator
+            inputs={roiInputs}
+            onChange={changeRoi}
+            estimate={estimate}
+            currency={currency}
+            onGetStarted={() => {
+              track("cta_click", { cta: "roi_get_started", location: "pricing", tier: estimate.tier });
+              getStarted(estimate.tier, true);
+            }}
+          />
         </motion.div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+      </Container>
+    </Section>
+  );
+};
 
 /********************
- * Integrations      *
+ * FAQ               *
  ********************/
 
-const Integrations = () => (
-  <Section id="integrations">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          Integrations
-        </motion.h2>
-        <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
-          We fit into your stack — telephony, models, infra, and revenue systems.
-        </motion.p>
-        <div className="mt-10 grid grid-cols-2 gap-4 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6">
-          {COMPANY.integrations.map((name) => (
-            <motion.div
-              key={name}
-              variants={fadeUp}
-              className="flex items-center justify-center rounded-2xl border border-zinc-200 bg-white/70 px-4 py-6 text-sm text-zinc-700 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300"
-            >
-              {name}
-            </motion.div>
-          ))}
-        </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+const FAQ = () => {
+  const { t, content } = useI18n();
+  return (
+    <Section id="faq">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">{t("faq.title")}</motion.h2>
+          <div className="mt-8 divide-y divide-zinc-200 rounded-3xl border border-zinc-200 bg-white/70 dark:divide-zinc-800 dark:border-zinc-800 dark:bg-zinc-900/60">
+            {content.faqs.map((f, i) => (
+              <details key={f.q} className="group">
+                <summary className="flex cursor-pointer list-none items-center justify-between gap-4 px-6 py-5 text-left text-sm text-zinc-800 hover:bg-zinc-50/60 dark:text-zinc-200 dark:hover:bg-zinc-800/60">
+                  <span className="font-medium">{f.q}</span>
+                  <ChevronRight className="h-4 w-4 transition group-open:rotate-90" />
+                </summary>
+                <div className="px-6 pb-6 text-sm text-zinc-600 dark:text-zinc-400">{f.a}</div>
+                {i < content.faqs.length - 1 && <div className="h-px w-full bg-zinc-200 dark:bg-zinc-800" />}
+              </details>
+            ))}
+          </div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
 
 /********************
- * Pricing           *
+ * Contact           *
  ********************/
 
-const Pricing = () => (
-  <Section id="pricing" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          Pricing
-        </motion.h2>
-        <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
-          Flexible engagement models designed for speed to value and long‑term reliability.
-        </motion.p>
-        <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-3">
-          {COMPANY.pricing.map((p) => (
-            <motion.div
-              key={p.tier}
-              variants={fadeUp}
-              className={`relative overflow-hidden rounded-3xl border p-6 shadow-sm transition ${
-                p.highlighted
-                  ? "border-indigo-300 bg-indigo-50/60 dark:border-indigo-500/30 dark:bg-indigo-500/5"
-                  : "border-zinc-200 bg-white/70 dark:border-zinc-800 dark:bg-zinc-900/60"
-              }`}
-            >
-              {p.highlighted && (
-                <span className="absolute right-4 top-4 rounded-full bg-indigo-600 px-2.5 py-1 text-xs font-medium text-white">Popular</span>
-              )}
-              <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{p.tier}</h3>
-              <p className="mt-1 text-sm text-zinc-500 dark:text-zinc-400">{p.tagline}</p>
-              <div className="mt-6 text-3xl font-semibold tracking-tight text-zinc-900 dark:text-white">{p.price}</div>
-              <ul className="mt-6 space-y-2">
-                {p.features.map((f) => (
-                  <li key={f} className="flex items-center gap-2 text-sm text-zinc-700 dark:text-zinc-300">
-                    <Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> {f}
-                  </li>
-                ))}
-              </ul>
-              <a
-                href="#contact"
-                className="mt-8 inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/70 px-4 py-2 text-sm text-zinc-900 transition hover:-translate-y-0.5 hover:shadow dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+const Contact = ({ sinks, onDraft, prefill, onOpenCalendly }) => {
+  const { t } = useI18n();
+  return (
+    <Section id="contact" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
+      <Container>
+        <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
+          <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
+            {t("contact.title")}
+          </motion.h2>
+          <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
+            {t("contact.intro")}
+          </motion.p>
+          <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2">
+            <motion.div variants={fadeUp} className="rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60">
+              <LeadForm sinks={sinks} onDraft={onDraft} prefill={prefill} />
+            </motion.div>
+            <motion.div variants={fadeUp} className="flex flex-col justify-between rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60">
+              <div>
+                <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">{t("contact.bookTitle")}</h3>
+                <p className="mt-2 text-sm text-zinc-600 dark:text-zinc-400">{t("contact.bookText")}</p>
+                <ul className="mt-4 space-y-2 text-sm text-zinc-700 dark:text-zinc-300">
+                  <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> {t("contact.point1")}</li>
+                  <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> {t("contact.point2")}</li>
+                  <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> {t("contact.point3")}</li>
+                </ul>
+              </div>
+              <button
+                onClick={() => onOpenCalendly("contact")}
+                className="mt-6 inline-flex items-center justify-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
               >
-                <ArrowRight className="h-4 w-4" /> Get started
-              </a>
+                <CalendarIcon /> {t("contact.openCalendly")}
+              </button>
             </motion.div>
-          ))}
-        </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+          </div>
+        </motion.div>
+      </Container>
+    </Section>
+  );
+};
 
 /********************
- * FAQ               *
+ * Section Registry  *
  ********************/
 
-const FAQ = () => (
-  <Section id="faq">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">FAQ</motion.h2>
-        <div className="mt-8 divide-y divide-zinc-200 rounded-3xl border border-zinc-200 bg-white/70 dark:divide-zinc-800 dark:border-zinc-800 dark:bg-zinc-900/60">
-          {COMPANY.faqs.map((f, i) => (
-            <details key={f.q} className="group">
-              <summary className="flex cursor-pointer list-none items-center justify-between gap-4 px-6 py-5 text-left text-sm text-zinc-800 hover:bg-zinc-50/60 dark:text-zinc-200 dark:hover:bg-zinc-800/60">
-                <span className="font-medium">{f.q}</span>
-                <ChevronRight className="h-4 w-4 transition group-open:rotate-90" />
-              </summary>
-              <div className="px-6 pb-6 text-sm text-zinc-600 dark:text-zinc-400">{f.a}</div>
-              {i < COMPANY.faqs.length - 1 && <div className="h-px w-full bg-zinc-200 dark:bg-zinc-800" />}
-            </details>
-          ))}
-        </div>
-      </motion.div>
-    </Container>
-  </Section>
-);
+/**
+ * Page composition. `id` must match the <Section id> the component renders (it is the nav anchor);
+ * `nav: true` lists the section in the menu under its `nav.<id>` catalog label (omit to keep it out).
+ * Every section receives the same page props: { onOpenCalendly, sinks, onDraft, prefill, onHandoff }
+ * — `onHandoff(details)` sends details to the contact form, which receives them as `prefill`.
+ * Deployments reorder, relabel or disable sections through `sections` in site-config.json (a `nav`
+ * string there replaces the catalog label); sections not listed keep their registry position after those.
+ */
+const SECTION_REGISTRY = [
+  { id: "home", component: Hero, enabled: true, ownDivider: true },
+  { id: "services", nav: true, component: Services, enabled: true },
+  { id: "work", nav: true, component: CaseStudies, enabled: true },
+  { id: "insights", component: LatestInsights, enabled: true },
+  { id: "mission", nav: true, component: Mission, enabled: true },
+  { id: "about", nav: true, component: About, enabled: true },
+  { id: "integrations", nav: true, component: Integrations, enabled: true },
+  { id: "pricing", nav: true, component: Pricing, enabled: true },
+  { id: "faq", nav: true, component: FAQ, enabled: true },
+  { id: "contact", nav: true, component: Contact, enabled: true },
+];
+
+function resolveSections(registry, overrides = []) {
+  const byId = new Map(registry.map((entry) => [entry.id, entry]));
+  overrides
+    .filter((o) => !byId.has(o.id))
+    .forEach((o) => console.error(`[sections] site-config.json lists unknown section "${o.id}" (known: ${[...byId.keys()].join(", ")})`));
+  const listed = overrides
+    .filter((o) => byId.has(o.id))
+    .map((o) => ({ ...byId.get(o.id), ...o }));
+  const rest = registry.filter((entry) => !overrides.some((o) => o.id === entry.id));
+  return [...listed, ...rest].filter((entry) => entry.enabled);
+}
+
+const SECTIONS = resolveSections(SECTION_REGISTRY, COMPANY.sections);
+
+const NAV_LINKS = SECTIONS.filter((s) => s.nav).map((s) => s.id);
+
+// A label set in site-config.json (translated through the catalog's content) wins over the default
+const navLabel = (id, { t, content }) => content.sections?.find((s) => s.id === id)?.nav ?? t(`nav.${id}`);
+
+const HomePage = (pageProps) => {
+  usePageTitle(null);
+  return (
+    <main>
+      {SECTIONS.map(({ id, component: Component }, i) => (
+        <React.Fragment key={id}>
+          {/* Sections that draw their own bottom edge (Hero) skip the divider after them */}
+          {i > 0 && !SECTIONS[i - 1].ownDivider && <GradientDivider />}
+          <Component {...pageProps} />
+        </React.Fragment>
+      ))}
+    </main>
+  );
+};
 
 /********************
- * Contact           *
+ * Pages (Routes)    *
  ********************/
 
-const Contact = ({ webhook, onOpenCalendly }) => (
-  <Section id="contact" className="bg-gradient-to-b from-transparent to-zinc-50 dark:to-zinc-950/40">
-    <Container>
-      <motion.div variants={stagger} initial="hidden" whileInView="show" viewport={{ once: true, amount: 0.2 }}>
-        <motion.h2 variants={fadeUp} className="text-2xl font-semibold tracking-tight text-zinc-900 md:text-4xl dark:text-white">
-          Let’s build your voice agent
-        </motion.h2>
-        <motion.p variants={fadeUp} className="mt-3 max-w-2xl text-zinc-600 dark:text-zinc-400">
-          Share a few details and we\'ll reach out. Prefer live? Book instantly via Calendly.
-        </motion.p>
-        <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2">
-          <motion.div variants={fadeUp} className="rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60">
-            <LeadForm webhook={webhook} />
-          </motion.div>
-          <motion.div variants={fadeUp} className="flex flex-col justify-between rounded-3xl border border-zinc-200 bg-white/70 p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60">
-            <div>
-              <h3 className="text-lg font-semibold text-zinc-900 dark:text-white">Book a session</h3>
-              <p className="mt-2 text-sm text-zinc-600 dark:text-zinc-400">30‑minute discovery to map use‑cases, KPIs, and integration plan.</p>
-              <ul className="mt-4 space-y-2 text-sm text-zinc-700 dark:text-zinc-300">
-                <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> Zero‑pressure consult</li>
-                <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> Timeline & budget alignment</li>
-                <li className="flex items-center gap-2"><Check className="h-4 w-4 text-indigo-600 dark:text-indigo-400" /> Security & compliance review</li>
-              </ul>
-            </div>
-            <button
-              onClick={onOpenCalendly}
-              className="mt-6 inline-flex items-center justify-center gap-2 rounded-2xl bg-zinc-900 px-5 py-3 text-sm font-medium text-white shadow-sm transition hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
-            >
-              <CalendarIcon /> Open Calendly
-            </button>
+const usePageTitle = (title) => {
+  useEffect(() => {
+    document.title = title ? `${title} — ${COMPANY.name}` : COMPANY.name;
+  }, [title]);
+};
+
+const PageShell = ({ eyebrow, title, children }) => {
+  usePageTitle(title);
+  const { t } = useI18n();
+  return (
+    <main>
+      <Section className="pt-32 md:pt-40">
+        <Container className="max-w-4xl">
+          <motion.div variants={stagger} initial="hidden" animate="show">
+            <motion.div variants={fadeUp}>
+              <RouteLink to="/" className="inline-flex items-center gap-1 text-sm text-zinc-500 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">
+                <ChevronRight className="h-4 w-4 rotate-180" /> {t("page.back")}
+              </RouteLink>
+              {eyebrow && <p className="mt-8 text-xs uppercase tracking-wider text-zinc-500 dark:text-zinc-400">{eyebrow}</p>}
+              <h1 className="mt-3 text-3xl font-semibold tracking-tight text-zinc-900 md:text-5xl dark:text-white">{title}</h1>
+            </motion.div>
+            {children}
           </motion.div>
-        </div>
+        </Container>
+      </Section>
+    </main>
+  );
+};
+
+const CaseStudyPage = ({ params, onOpenCalendly }) => {
+  const { t, locale } = useI18n();
+  const original = CASE_STUDIES.find((c) => c.slug === params.slug);
+  if (!original) return <NotFoundPage />;
+  const study = localized(original, locale);
+  const { meta } = study;
+  return (
+    <PageShell eyebrow={t("caseStudy.eyebrow", { client: meta.client })} title={meta.title}>
+      <motion.p variants={fadeUp} className="mt-5 max-w-3xl text-lg leading-relaxed text-zinc-700 dark:text-zinc-300">
+        {meta.summary}
+      </motion.p>
+      <motion.div variants={fadeUp} className="mt-12">
+        <Prose html={study.html} />
       </motion.div>
-    </Container>
-  </Section>
-);
+      <motion.div variants={fadeUp} className="mt-6 rounded-3xl border border-indigo-300 bg-indigo-50/60 p-6 dark:border-indigo-500/30 dark:bg-indigo-500/5">
+        <h2 className="text-sm font-semibold uppercase tracking-wider text-indigo-700 dark:text-indigo-300">{t("caseStudy.results")}</h2>
+        <ul className="mt-4 grid grid-cols-1 gap-3 sm:grid-cols-3">
+          {meta.impact.map((i) => (
+            <li key={i} className="flex items-start gap-2 text-base font-medium text-zinc-900 dark:text-white">
+              <Check className="mt-1 h-4 w-4 shrink-0 text-indigo-600 dark:text-indigo-400" /> {i}
+            </li>
+          ))}
+        </ul>
+      </motion.div>
+      <motion.div variants={fadeUp} className="mt-12 flex flex-wrap gap-3">
+        <button
+          onClick={() => onOpenCalendly("case_study")}
+          className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-6 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+        >
+          <Play className="h-4 w-4" /> {t("hero.book")}
+        </button>
+        <RouteLink
+          to="/#work"
+          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/60 px-6 py-3 text-sm font-medium text-zinc-900 shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+        >
+          {t("caseStudy.more")}
+        </RouteLink>
+      </motion.div>
+    </PageShell>
+  );
+};
+
+const LegalPage = ({ doc }) => {
+  const { t, locale, formatDate } = useI18n();
+  const { meta, html } = localized(LEGAL[doc], locale);
+  return (
+    <PageShell title={meta.title}>
+      <motion.p variants={fadeUp} className="mt-3 text-sm text-zinc-500 dark:text-zinc-400">
+        {t("legal.updated", { date: formatDate(meta.date) })}
+      </motion.p>
+      <motion.div variants={fadeUp} className="mt-10">
+        <Prose html={html} />
+      </motion.div>
+    </PageShell>
+  );
+};
+
+// Serves both /insights and /insights/tag/:tag
+const InsightsPage = ({ params }) => {
+  const { t } = useI18n();
+  const { tag } = params;
+  if (tag && !INSIGHT_TAGS.includes(tag)) return <NotFoundPage />;
+  const posts = tag ? INSIGHTS.filter((post) => post.meta.tags.includes(tag)) : INSIGHTS;
+  return (
+    <PageShell eyebrow={tag && t("insights.title")} title={tag ? t("insights.tagged", { tag }) : t("insights.title")}>
+      <motion.p variants={fadeUp} className="mt-5 max-w-3xl text-lg leading-relaxed text-zinc-700 dark:text-zinc-300">
+        {t("insights.intro")}
+      </motion.p>
+      <motion.nav variants={fadeUp} aria-label={t("insights.filter")} className="mt-8 flex flex-wrap gap-2">
+        <TagLink active={!tag}>{t("insights.all")}</TagLink>
+        {INSIGHT_TAGS.map((name) => (
+          <TagLink key={name} tag={name} active={name === tag} />
+        ))}
+      </motion.nav>
+      <div className="mt-10 grid grid-cols-1 gap-6 md:grid-cols-2">
+        {posts.map((post) => (
+          <InsightCard key={post.slug} post={post} />
+        ))}
+      </div>
+    </PageShell>
+  );
+};
+
+const InsightPostPage = ({ params, onOpenCalendly }) => {
+  const { t, locale, formatDate } = useI18n();
+  const original = INSIGHTS.find((p) => p.slug === params.slug);
+  if (!original) return <NotFoundPage />;
+  const post = localized(original, locale);
+  const { meta } = post;
+  return (
+    <PageShell
+      eyebrow={`${formatDate(meta.date)} · ${t("insights.readingTime", { minutes: post.readingMinutes })}`}
+      title={meta.title}
+    >
+      <motion.p variants={fadeUp} className="mt-5 max-w-3xl text-lg leading-relaxed text-zinc-700 dark:text-zinc-300">
+        {meta.summary}
+      </motion.p>
+      <motion.p variants={fadeUp} className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">
+        {t("insights.by", { author: meta.author })}
+      </motion.p>
+      <motion.div variants={fadeUp} className="mt-12">
+        <Prose html={post.html} />
+      </motion.div>
+      <motion.div variants={fadeUp} className="mt-10 flex flex-wrap gap-2">
+        {meta.tags.map((tag) => (
+          <TagLink key={tag} tag={tag} />
+        ))}
+      </motion.div>
+      <motion.div variants={fadeUp} className="mt-12 flex flex-wrap gap-3">
+        <button
+          onClick={() => onOpenCalendly("insight")}
+          className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-6 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+        >
+          <Play className="h-4 w-4" /> {t("hero.book")}
+        </button>
+        <RouteLink
+          to="/insights"
+          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/60 px-6 py-3 text-sm font-medium text-zinc-900 shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+        >
+          {t("insights.more")}
+        </RouteLink>
+      </motion.div>
+    </PageShell>
+  );
+};
+
+const NotFoundPage = () => {
+  const { t } = useI18n();
+  return (
+    <PageShell eyebrow="404" title={t("notFound.title")}>
+      <motion.p variants={fadeUp} className="mt-5 max-w-2xl text-lg text-zinc-700 dark:text-zinc-300">
+        {t("notFound.text")}
+      </motion.p>
+      <motion.div variants={fadeUp} className="mt-10 flex flex-wrap gap-3">
+        <RouteLink
+          to="/"
+          className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-6 py-3 text-sm font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+        >
+          <Waves className="h-4 w-4" /> {t("notFound.home")}
+        </RouteLink>
+        <RouteLink
+          to="/#work"
+          className="inline-flex items-center gap-2 rounded-2xl border border-zinc-200 bg-white/60 px-6 py-3 text-sm font-medium text-zinc-900 shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-white"
+        >
+          {t("notFound.work")}
+        </RouteLink>
+      </motion.div>
+    </PageShell>
+  );
+};
+
+const ROUTES = [
+  { path: "/", page: HomePage },
+  { path: "/privacy", page: (props) => <LegalPage doc="privacy" {...props} /> },
+  { path: "/terms", page: (props) => <LegalPage doc="terms" {...props} /> },
+  { path: "/work/:slug", page: CaseStudyPage },
+  { path: "/insights", page: InsightsPage },
+  { path: "/insights/tag/:tag", page: InsightsPage },
+  { path: "/insights/:slug", page: InsightPostPage },
+];
 
 /********************
  * Navbar & Footer   *
  ********************/
 
-const Nav = ({ onOpenCalendly, theme, setTheme }) => {
+const Nav = ({ links, onOpenCalendly }) => {
   const [open, setOpen] = useState(false);
-  const links = [
-    { href: "#services", label: "Services" },
-    { href: "#work", label: "Work" },
-    { href: "#mission", label: "Mission" },
-    { href: "#about", label: "About" },
-    { href: "#integrations", label: "Integrations" },
-    { href: "#pricing", label: "Pricing" },
-    { href: "#faq", label: "FAQ" },
-    { href: "#contact", label: "Contact" },
-  ];
+  const i18n = useI18n();
+  const { t } = i18n;
 
   useEffect(() => {
     const close = () => setOpen(false);
@@ -946,7 +2456,7 @@ const Nav = ({ onOpenCalendly, theme, setTheme }) => {
   // Ensure the mobile menu icon is fully clickable and not blocked by any overlay
   useEffect(() => {
     if (typeof document === 'undefined') return;
-    const btn = document.querySelector('button[aria-label="Toggle menu"]');
+    const btn = document.querySelector("button[data-menu-toggle]");
     if (!btn) return;
 
     // Raise navbar z-index defensively
@@ -996,7 +2506,7 @@ const Nav = ({ onOpenCalendly, theme, setTheme }) => {
       if (target) {
         e.preventDefault();
         setOpen(false); // close mobile menu if open
-        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        target.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
         try { history.replaceState(null, '', href); } catch {}
       }
     };
@@ -1017,30 +2527,35 @@ const Nav = ({ onOpenCalendly, theme, setTheme }) => {
     <div className="fixed inset-x-0 top-0 z-40">
       <div className="mx-auto max-w-7xl px-4 pt-4 sm:px-6 md:px-10">
         <div className="flex items-center justify-between rounded-2xl border border-zinc-200/80 bg-white/70 px-4 py-2.5 shadow-sm backdrop-blur supports-[backdrop-filter]:bg-white/50 dark:border-zinc-800/80 dark:bg-zinc-900/60">
-          <a href="#home" className="flex items-center gap-2 text-sm font-medium text-zinc-900 dark:text-white">
+          <RouteLink to="/#home" className="flex items-center gap-2 text-sm font-medium text-zinc-900 dark:text-white">
             <div className="flex h-8 w-8 items-center justify-center rounded-xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
               <Waves className="h-4 w-4" />
             </div>
             <span>Oceanside AI</span>
-          </a>
+          </RouteLink>
           <div className="hidden items-center gap-6 md:flex">
-            {links.map((l) => (
-              <a key={l.href} href={l.href} className="text-sm text-zinc-700 transition hover:text-zinc-900 dark:text-zinc-300 dark:hover:text-white">
-                {l.label}
-              </a>
+            {links.map((id) => (
+              <RouteLink key={id} to={`/#${id}`} className="text-sm text-zinc-700 transition hover:text-zinc-900 dark:text-zinc-300 dark:hover:text-white">
+                {navLabel(id, i18n)}
+              </RouteLink>
             ))}
-            <ThemeToggle theme={theme} setTheme={setTheme} />
+            <LocaleSwitcher />
+            <MotionToggle />
+            <ThemeToggle />
             <button
-              onClick={onOpenCalendly}
-              className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-4 py-2 text-xs font-medium text-white shadow-sm transition hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
+              onClick={() => onOpenCalendly("nav")}
+              className="inline-flex items-center gap-2 rounded-2xl bg-zinc-900 px-4 py-2 text-xs font-medium text-white shadow-sm transition motion-ok:hover:-translate-y-0.5 hover:shadow-lg dark:bg-white dark:text-zinc-900"
             >
-              <PhoneCall className="h-4 w-4" /> Book a call
+              <PhoneCall className="h-4 w-4" /> {t("nav.bookCall")}
             </button>
           </div>
           <div className="flex items-center gap-2 md:hidden">
-            <ThemeToggle theme={theme} setTheme={setTheme} />
+            <LocaleSwitcher />
+            <MotionToggle />
+            <ThemeToggle />
             <button
-              aria-label="Toggle menu"
+              data-menu-toggle
+              aria-label={t("nav.toggleMenu")}
               onClick={() => setOpen((v) => !v)}
               className="inline-flex items-center justify-center rounded-xl border border-zinc-200 bg-white/70 p-2 text-zinc-700 shadow-sm dark:border-zinc-800 dark:bg-zinc-900/60 dark:text-zinc-300"
             >
@@ -1057,13 +2572,18 @@ const Nav = ({ onOpenCalendly, theme, setTheme }) => {
               className="mt-2 overflow-hidden rounded-2xl border border-zinc-200 bg-white/80 shadow-sm backdrop-blur dark:border-zinc-800 dark:bg-zinc-900/70 md:hidden"
             >
               <div className="flex flex-col divide-y divide-zinc-200 dark:divide-zinc-800">
-                {links.map((l) => (
-                  <a key={l.href} href={l.href} className="px-4 py-3 text-sm text-zinc-800 hover:bg-zinc-50 dark:text-zinc-200 dark:hover:bg-zinc-800">
-                    {l.label}
-                  </a>
+                {links.map((id) => (
+                  <RouteLink
+                    key={id}
+                    to={`/#${id}`}
+                    onClick={() => setOpen(false)}
+                    className="px-4 py-3 text-sm text-zinc-800 hover:bg-zinc-50 dark:text-zinc-200 dark:hover:bg-zinc-800"
+                  >
+                    {navLabel(id, i18n)}
+                  </RouteLink>
                 ))}
-                <button onClick={onOpenCalendly} className="flex items-center gap-2 px-4 py-3 text-left text-sm text-zinc-800 hover:bg-zinc-50 dark:text-zinc-200 dark:hover:bg-zinc-800">
-                  <PhoneCall className="h-4 w-4" /> Book a call
+                <button onClick={() => onOpenCalendly("nav_mobile")} className="flex items-center gap-2 px-4 py-3 text-left text-sm text-zinc-800 hover:bg-zinc-50 dark:text-zinc-200 dark:hover:bg-zinc-800">
+                  <PhoneCall className="h-4 w-4" /> {t("nav.bookCall")}
                 </button>
               </div>
             </motion.div>
@@ -1074,33 +2594,78 @@ const Nav = ({ onOpenCalendly, theme, setTheme }) => {
   );
 };
 
-const Footer = ({ onOpenCalendly }) => (
-  <footer className="border-t border-zinc-200 bg-white/60 py-10 text-sm dark:border-zinc-800 dark:bg-zinc-950/40">
-    <Container className="flex flex-col items-center justify-between gap-6 md:flex-row">
-      <div className="flex items-center gap-2 text-zinc-600 dark:text-zinc-400">
-        <div className="flex h-8 w-8 items-center justify-center rounded-xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
-          <Waves className="h-4 w-4" />
+const Footer = ({ onOpenCalendly, onOpenConsent }) => {
+  const { t, content } = useI18n();
+  return (
+    <footer className="border-t border-zinc-200 bg-white/60 py-10 text-sm dark:border-zinc-800 dark:bg-zinc-950/40">
+      <Container className="flex flex-col items-center justify-between gap-6 md:flex-row">
+        <div className="flex items-center gap-2 text-zinc-600 dark:text-zinc-400">
+          <div className="flex h-8 w-8 items-center justify-center rounded-xl bg-zinc-900 text-white dark:bg-white dark:text-zinc-900">
+            <Waves className="h-4 w-4" />
+          </div>
+          <span>© {new Date().getFullYear()} {content.name}</span>
         </div>
-        <span>© {new Date().getFullYear()} {COMPANY.name}</span>
-      </div>
-      <div className="flex items-center gap-4">
-        <a href="#privacy" className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">Privacy</a>
-        <a href="#terms" className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">Terms</a>
-        <button onClick={onOpenCalendly} className="inline-flex items-center gap-2 rounded-xl border border-zinc-200 px-3 py-1.5 text-zinc-700 hover:bg-zinc-50 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-900">
-          <CalendarIcon /> Book
-        </button>
-      </div>
-    </Container>
-  </footer>
-);
+        <div className="flex items-center gap-4">
+          <RouteLink to="/insights" className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">{t("footer.insights")}</RouteLink>
+          <RouteLink to="/privacy" className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">{t("footer.privacy")}</RouteLink>
+          <RouteLink to="/terms" className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">{t("footer.terms")}</RouteLink>
+          <button onClick={onOpenConsent} className="text-zinc-600 hover:text-zinc-900 dark:text-zinc-400 dark:hover:text-white">{t("footer.choices")}</button>
+          <button onClick={onOpenCalendly} className="inline-flex items-center gap-2 rounded-xl border border-zinc-200 px-3 py-1.5 text-zinc-700 hover:bg-zinc-50 dark:border-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-900">
+            <CalendarIcon /> {t("footer.book")}
+          </button>
+        </div>
+      </Container>
+    </footer>
+  );
+};
 
 /********************
  * Page Component    *
  ********************/
 
-export default function OceansideSite() {
-  const { theme, setTheme } = useTheme();
+// `path` is only passed by the prerender (entry-server.jsx); in the browser the router owns it
+export default function OceansideSite({ path: renderPath }) {
   const [calOpen, setCalOpen] = useState(false);
+  const [consentOpen, setConsentOpen] = useState(false);
+  const [debugAnalytics, setDebugAnalytics] = useState(false);
+  const path = useSyncExternalStore(subscribeRoute, currentPath, () => renderPath ?? currentPath());
+  const locale = useLocale();
+  const reduceMotion = useReduceMotion();
+  const match = matchRoute(ROUTES, path);
+  const Page = match ? match.route.page : NotFoundPage;
+  // Whatever the visitor typed into LeadForm, used to prefill Calendly (a ref: no re-render per keystroke)
+  const leadDraft = useRef({});
+  const onDraft = (draft) => (leadDraft.current = draft);
+  // Details another section hands to the contact form (see LeadForm's `prefill`)
+  const [leadPrefill, setLeadPrefill] = useState(null);
+  const handoff = (details) => {
+    setLeadPrefill(details);
+    navigate("/#contact");
+  };
+
+  const openCalendly = (location) => {
+    track("cta_click", { cta: "book_call", location });
+    setCalOpen(true);
+  };
+
+  // Retry any leads that were queued while offline (this visit or a previous one)
+  useEffect(() => startLeadQueue(), []);
+
+  useEffect(() => {
+    setDebugAnalytics(new URLSearchParams(window.location.search).get("debug") === "analytics");
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Keep the prerendered canonical link, hreflang alternates and description in step with client-side navigation
+  useEffect(() => {
+    const { canonical, alternates, description } = pageMeta(path);
+    document.querySelector('link[rel="canonical"]')?.setAttribute("href", canonical);
+    alternates.forEach(({ hreflang, href }) => document.querySelector(`link[hreflang="${hreflang}"]`)?.setAttribute("href", href));
+    document.querySelector('meta[name="description"]')?.setAttribute("content", description);
+  }, [path]);
 
   // Ensure services cards are keyboard-accessible and clickable without modifying existing markup
   useEffect(() => {
@@ -1131,45 +2696,42 @@ export default function OceansideSite() {
         } catch (err) {}
       });
     };
-  }, []);
+  }, [path]);
 
   return (
-    <div className="min-h-screen bg-white text-zinc-900 antialiased dark:bg-zinc-950 dark:text-white">
-      <Nav onOpenCalendly={() => setCalOpen(true)} theme={theme} setTheme={setTheme} />
-      <main>
-        {/* Hero */}
-        <Hero onOpenCalendly={() => setCalOpen(true)} />
-        {/* Services */}
-        <Services />
-        <GradientDivider />
-        {/* Case Studies */}
-        <CaseStudies />
-        <GradientDivider />
-        {/* Mission */}
-        <Mission />
-        <GradientDivider />
-        {/* About */}
-        <About />
-        <GradientDivider />
-        {/* Integrations */}
-        <Integrations />
-        <GradientDivider />
-        {/* Pricing */}
-        <Pricing />
-        <GradientDivider />
-        {/* FAQ */}
-        <FAQ />
-        <GradientDivider />
-        {/* Contact */}
-        <Contact webhook={COMPANY.webhook} onOpenCalendly={() => setCalOpen(true)} />
-      </main>
-      <Footer onOpenCalendly={() => setCalOpen(true)} />
-
-      {/* Calendly Modal */}
-      <CalendlyModal open={calOpen} onClose={() => setCalOpen(false)} url={COMPANY.calendly} />
-
-      {/* Background decorative spotlight */}
-      <div className="pointer-events-none fixed inset-x-0 top-[-10%] -z-10 mx-auto h-[40rem] w-[60rem] rounded-full bg-indigo-500/10 blur-3xl" />
-    </div>
+    // Reduced motion keeps opacity fades and drops transform animations (the variants' slides)
+    <MotionConfig reducedMotion={reduceMotion ? "always" : "never"}>
+      <div className="min-h-screen bg-white text-zinc-900 antialiased dark:bg-zinc-950 dark:text-white">
+        <Nav links={NAV_LINKS} onOpenCalendly={openCalendly} />
+        <Page
+          params={match?.params ?? {}}
+          onOpenCalendly={openCalendly}
+          sinks={LEAD_SINKS}
+          onDraft={onDraft}
+          prefill={leadPrefill}
+          onHandoff={handoff}
+        />
+        <Footer onOpenCalendly={() => openCalendly("footer")} onOpenConsent={() => setConsentOpen(true)} />
+
+        {/* Calendly Modal */}
+        <CalendlyModal
+          open={calOpen}
+          onClose={() => setCalOpen(false)}
+          url={CALENDLY_URL}
+          getPrefill={() => leadDraft.current}
+          onEvent={(name) => track("calendly_event", { name })}
+        />
+
+        {/* Consent */}
+        <ConsentBanner onCustomize={() => setConsentOpen(true)} />
+        <ConsentDialog open={consentOpen} onClose={() => setConsentOpen(false)} />
+
+        {/* ?debug=analytics */}
+        {debugAnalytics && <AnalyticsOverlay />}
+
+        {/* Background decorative spotlight */}
+        <div className="pointer-events-none fixed inset-x-0 top-[-10%] -z-10 mx-auto h-[40rem] w-[60rem] rounded-full bg-indigo-500/10 blur-3xl" />
+      </div>
+    </MotionConfig>
   );
 }
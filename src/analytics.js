@@ -0,0 +1,95 @@
+/**
+ * Analytics — first-party event layer.
+ * - `track(event, props)` stamps each event and hands it to the configured sinks.
+ * - Sinks only receive events once the visitor allows the "analytics" consent category;
+ *   events fired before a decision are buffered, and dropped if analytics is declined.
+ * - Subscribers (the ?debug=analytics overlay) see every event locally, consent or not.
+ * Built-in sinks: console, sendBeacon to an endpoint, and in-memory (for tests).
+ * Deployments pick sinks with VITE_ANALYTICS_SINKS=console,beacon and VITE_ANALYTICS_ENDPOINT.
+ */
+
+import { getConsent, subscribeConsent } from "./consent";
+
+const MAX_BUFFER = 50;
+
+export const consoleSink = () => ({
+  name: "console",
+  send: (e) => console.info(`[analytics] ${e.event}`, e.props),
+});
+
+export const beaconSink = (endpoint) => ({
+  name: "beacon",
+  send: (e) => {
+    const body = JSON.stringify(e);
+    if (typeof navigator !== "undefined" && navigator.sendBeacon?.(endpoint, new Blob([body], { type: "application/json" }))) return;
+    fetch(endpoint, { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true }).catch(() => {});
+  },
+});
+
+export const memorySink = () => {
+  const events = [];
+  return { name: "memory", events, send: (e) => events.push(e), clear: () => events.splice(0) };
+};
+
+let sinks = [];
+let buffer = [];
+const listeners = new Set();
+
+const sessionId = (() => {
+  try {
+    let id = window.sessionStorage.getItem("oceanside:session");
+    if (!id) {
+      id = Math.random().toString(36).slice(2, 12);
+      window.sessionStorage.setItem("oceanside:session", id);
+    }
+    return id;
+  } catch {
+    return "anonymous";
+  }
+})();
+
+const dispatch = (e) => sinks.forEach((sink) => {
+  try {
+    sink.send(e);
+  } catch (err) {
+    console.warn(`[analytics] sink "${sink.name}" failed`, err);
+  }
+});
+
+subscribeConsent((consent) => {
+  if (consent.analytics) buffer.forEach(dispatch);
+  buffer = [];
+});
+
+export function configureAnalytics({ sinks: next }) {
+  sinks = next;
+}
+
+/** Builds the sink list from Vite env; unknown names are reported and skipped. */
+export function resolveAnalyticsSinks(env) {
+  return (env.VITE_ANALYTICS_SINKS || "").split(",").map((s) => s.trim()).filter(Boolean).flatMap((name) => {
+    if (name === "console") return [consoleSink()];
+    if (name === "beacon") {
+      if (env.VITE_ANALYTICS_ENDPOINT) return [beaconSink(env.VITE_ANALYTICS_ENDPOINT)];
+      console.error("[analytics] beacon sink needs VITE_ANALYTICS_ENDPOINT");
+      return [];
+    }
+    if (name === "memory") return [memorySink()];
+    console.error(`[analytics] Unknown sink "${name}" in VITE_ANALYTICS_SINKS (expected console, beacon or memory)`);
+    return [];
+  });
+}
+
+export function track(event, props = {}) {
+  if (typeof window === "undefined") return;
+  const e = { event, props, ts: new Date().toISOString(), path: window.location.pathname, session: sessionId };
+  listeners.forEach((fn) => fn(e));
+  const consent = getConsent();
+  if (consent.analytics) dispatch(e);
+  else if (!consent.decided && buffer.length < MAX_BUFFER) buffer.push(e);
+}
+
+export function subscribeAnalytics(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,113 @@
+/**
+ * Animation scheduler — one requestAnimationFrame loop shared by every canvas animation.
+ * - `animate(element, frame)` registers a task; `frame({ time, dt, quality })` runs once per
+ *   frame while the element is on screen and the tab is visible. With nothing to draw the loop
+ *   stops, and it starts again when a task scrolls back into view.
+ * - `pointer` holds the last pointer position (viewport CSS px) in a plain object, so tasks read
+ *   it every frame without anything re-rendering or restarting.
+ * - `quality` (MIN_QUALITY–1) follows the measured time spent inside frame callbacks: it drops
+ *   towards FRAME_BUDGET_MS when they overrun and climbs back once there is headroom. Tasks scale
+ *   their detail (particle count, wave resolution) by it. Tasks that hand drawing to the canvas
+ *   worker (canvasRenderer.js) cost next to nothing here; the worker meters itself (qualityMeter).
+ * Browser only; call from effects.
+ */
+
+// Our share of a 60 Hz frame, leaving the rest to React, layout and the compositor
+const FRAME_BUDGET_MS = 6;
+const MIN_QUALITY = 0.25;
+// Frames averaged before quality is adjusted, so one slow frame doesn't cost detail
+const SAMPLE_FRAMES = 30;
+// Longest step handed to a task, so motion doesn't jump after a stall
+export const MAX_DT = 100;
+
+export const pointer = { x: 0, y: 0 };
+
+const tasks = new Map(); // element -> { frame, visible }
+let observer = null;
+let raf = 0;
+let last = 0;
+
+/**
+ * Tracks drawing time against FRAME_BUDGET_MS: `record(ms)` after each frame, `value()` for the
+ * quality to draw the next one at. The shared loop keeps one; the canvas worker keeps its own.
+ */
+export function qualityMeter() {
+  let quality = 1;
+  let sample = { spent: 0, frames: 0 };
+  return {
+    value: () => quality,
+    // Cost scales roughly with detail, so aim straight at the budget; recover at most 20% per sample
+    record(spent) {
+      sample = { spent: sample.spent + spent, frames: sample.frames + 1 };
+      if (sample.frames < SAMPLE_FRAMES) return;
+      const average = sample.spent / sample.frames;
+      sample = { spent: 0, frames: 0 };
+      quality = Math.min(1, Math.max(MIN_QUALITY, quality * Math.min(FRAME_BUDGET_MS / average, 1.2)));
+    },
+  };
+}
+
+const meter = qualityMeter();
+
+const running = () => document.visibilityState === "visible" && [...tasks.values()].some((task) => task.visible);
+
+const tick = (time) => {
+  raf = 0;
+  if (!running()) {
+    last = 0; // the next frame after a pause is a fresh start, not one long step
+    return;
+  }
+  const dt = last ? Math.min(time - last, MAX_DT) : 1000 / 60;
+  last = time;
+  const started = performance.now();
+  tasks.forEach((task) => task.visible && task.frame({ time, dt, quality: meter.value() }));
+  meter.record(performance.now() - started);
+  raf = requestAnimationFrame(tick);
+};
+
+const wake = () => {
+  if (!raf && running()) raf = requestAnimationFrame(tick);
+};
+
+const onPointerMove = (e) => {
+  pointer.x = e.clientX;
+  pointer.y = e.clientY;
+};
+
+const start = () => {
+  window.addEventListener("pointermove", onPointerMove, { passive: true });
+  document.addEventListener("visibilitychange", wake);
+  if (typeof IntersectionObserver !== "undefined") {
+    observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const task = tasks.get(entry.target);
+        if (task) task.visible = entry.isIntersecting;
+      });
+      wake();
+    });
+  }
+};
+
+const stop = () => {
+  window.removeEventListener("pointermove", onPointerMove);
+  document.removeEventListener("visibilitychange", wake);
+  observer?.disconnect();
+  observer = null;
+  cancelAnimationFrame(raf);
+  raf = 0;
+  last = 0;
+};
+
+/** Runs `frame` on the shared loop while `element` is visible; returns the function that stops it. */
+export function animate(element, frame) {
+  if (!tasks.size) start();
+  // Without IntersectionObserver every task counts as on screen
+  tasks.set(element, { frame, visible: !observer });
+  observer?.observe(element);
+  wake();
+  return () => {
+    tasks.delete(element);
+    observer?.unobserve(element);
+    if (!tasks.size) stop();
+  };
+}
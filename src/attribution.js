@@ -0,0 +1,79 @@
+/**
+ * Attribution — first-touch / last-touch marketing source capture.
+ * - First touch: the landing that first brought this browser here (localStorage, never overwritten).
+ * - Last touch: the most recent campaign or external-referrer landing (sessionStorage).
+ * Both are attached to webhook submissions, and the campaign params are forwarded to Calendly.
+ * Nothing is stored or read back until the visitor allows analytics (consent.js).
+ */
+
+import { hasConsent, whenConsented } from "./consent";
+
+const CAMPAIGN_KEYS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "gclid", "fbclid"];
+const FIRST_KEY = "oceanside:attribution:first";
+const LAST_KEY = "oceanside:attribution:last";
+
+const load = (storage, key) => {
+  try {
+    const raw = storage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const save = (storage, key, value) => {
+  try {
+    storage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage disabled (private mode etc.) — attribution is best-effort
+  }
+};
+
+const externalReferrer = () => {
+  try {
+    const ref = document.referrer && new URL(document.referrer);
+    return ref && ref.host !== window.location.host ? ref.href : "";
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Notes the current landing and stores it once analytics is allowed. Call once, as early as
+ * possible, before any hash navigation.
+ */
+export function captureAttribution() {
+  if (typeof window === "undefined") return;
+  const params = new URLSearchParams(window.location.search);
+  const touch = { landingPath: window.location.pathname, referrer: externalReferrer(), ts: new Date().toISOString() };
+  CAMPAIGN_KEYS.forEach((key) => {
+    const value = params.get(key);
+    if (value) touch[key] = value.slice(0, 200);
+  });
+  const isCampaign = CAMPAIGN_KEYS.some((key) => touch[key]) || Boolean(touch.referrer);
+
+  whenConsented("analytics", () => {
+    if (!load(window.localStorage, FIRST_KEY)) save(window.localStorage, FIRST_KEY, touch);
+    if (isCampaign || !load(window.sessionStorage, LAST_KEY)) save(window.sessionStorage, LAST_KEY, touch);
+  });
+}
+
+export function getAttribution() {
+  if (typeof window === "undefined" || !hasConsent("analytics")) return { firstTouch: null, lastTouch: null };
+  return {
+    firstTouch: load(window.localStorage, FIRST_KEY),
+    lastTouch: load(window.sessionStorage, LAST_KEY),
+  };
+}
+
+/** Appends the last-touch (falling back to first-touch) campaign params to a URL. */
+export function withAttribution(url) {
+  const { firstTouch, lastTouch } = getAttribution();
+  const touch = lastTouch || firstTouch;
+  if (!touch) return url;
+  const out = new URL(url, window.location.href);
+  CAMPAIGN_KEYS.forEach((key) => {
+    if (touch[key] && !out.searchParams.has(key)) out.searchParams.set(key, touch[key]);
+  });
+  return out.toString();
+}
@@ -0,0 +1,71 @@
+/**
+ * Bot Guard — self-hosted spam defenses for the lead webhook.
+ * - Honeypot: an off-screen field humans never see; anything in it means a bot.
+ * - Time-to-submit: real visitors can't complete the form in under MIN_FILL_MS.
+ * - Proof of work: a SHA-256 hashcash token (hex digest starting with `difficulty` zeros)
+ *   solved in the background and sent with the payload so the webhook scenario can
+ *   filter out submissions that didn't pay for it.
+ * Rejected submissions look successful to the bot and are only counted locally.
+ */
+
+export const HONEYPOT_FIELD = "website_url";
+export const MIN_FILL_MS = 3000;
+export const POW_DIFFICULTY = 4;
+
+const STATS_KEY = "oceanside:bot-rejections";
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+
+export const createChallenge = () => {
+  const bytes = new Uint8Array(12);
+  crypto.getRandomValues(bytes);
+  return `${Date.now().toString(36)}.${toHex(bytes)}`;
+};
+
+/**
+ * Finds a nonce such that sha256(`${challenge}:${nonce}`) starts with `difficulty` hex zeros.
+ * Resolves to null where SubtleCrypto is unavailable (e.g. plain-http previews) or when aborted.
+ */
+export async function solveProofOfWork(challenge, { difficulty = POW_DIFFICULTY, signal } = {}) {
+  if (typeof crypto === "undefined" || !crypto.subtle) return null;
+  const encoder = new TextEncoder();
+  const target = "0".repeat(difficulty);
+  for (let nonce = 0; ; nonce++) {
+    const hash = toHex(await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${nonce}`)));
+    if (hash.startsWith(target)) return { challenge, nonce, difficulty, hash };
+    // yield to the main thread now and then so typing stays smooth
+    if (nonce % 500 === 499) {
+      await new Promise((r) => setTimeout(r, 0));
+      if (signal?.aborted) return null;
+    }
+  }
+}
+
+/** Returns the rejection reason, or null if the submission looks human. */
+export function screenSubmission({ honeypot, startedAt, now = Date.now() }) {
+  if (honeypot) return "honeypot";
+  if (now - startedAt < MIN_FILL_MS) return "too_fast";
+  return null;
+}
+
+export function getBotRejections() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STATS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function recordRejection(reason) {
+  const stats = getBotRejections();
+  stats[reason] = (stats[reason] || 0) + 1;
+  stats.last = new Date().toISOString();
+  try {
+    window.localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  } catch {
+    // ignore — counting is for debugging only
+  }
+  // Dev only: in production this would tell a bot's operator why it was turned away
+  if (import.meta.env.DEV) console.debug(`[bot-guard] rejected submission (${reason})`, stats);
+}
@@ -0,0 +1,27 @@
+/**
+ * Calendly — embed URL building and postMessage event names.
+ * Calendly only emits embed events when `embed_domain` is present in the iframe URL.
+ * Name/email prefill uses Calendly's documented `name` and `email` query params.
+ */
+
+import { withAttribution } from "./attribution";
+
+export const CALENDLY_EVENTS = {
+  profileViewed: "calendly.profile_page_viewed",
+  eventTypeViewed: "calendly.event_type_viewed",
+  dateSelected: "calendly.date_and_time_selected",
+  scheduled: "calendly.event_scheduled",
+};
+
+export function calendlyEmbedUrl(url, prefill = {}) {
+  const out = new URL(withAttribution(url), window.location.href);
+  out.searchParams.set("embed_domain", window.location.host);
+  out.searchParams.set("embed_type", "Inline");
+  if (prefill.name) out.searchParams.set("name", prefill.name);
+  if (prefill.email) out.searchParams.set("email", prefill.email);
+  return out.toString();
+}
+
+/** Returns the Calendly event name carried by a message, or null for anything else. */
+export const calendlyEventName = (data) =>
+  data && typeof data.event === "string" && data.event.startsWith("calendly.") ? data.event : null;
@@ -0,0 +1,164 @@
+import { MAX_DT } from "./animation";
+import { SCENES } from "./canvasScenes";
+
+/**
+ * Canvas renderer — draws a canvas scene (canvasScenes.js) off the main thread where the browser
+ * allows it: the canvas is handed to a dedicated worker (canvasWorker.js) as an OffscreenCanvas,
+ * and resizes, palette changes and each frame's pointer position and inputs are posted to it.
+ * Without OffscreenCanvas 2D the same scene is drawn on the main thread. Either way:
+ *   createCanvasRenderer(canvas, name, { onLost }) → { resize(width, height, dpr), setPalette(palette),
+ *                                                     draw(input, { still }), release() }
+ * `input` is what a scene's draw takes, minus `palette` (theme.js `canvasPalette()`). While the
+ * worker is busy with a frame, later animation frames are dropped and their time carried over;
+ * `still` frames always go through.
+ * The canvas is only handed over once the worker has loaded. A worker that fails before that
+ * (blocked by CSP, a network error) leaves the canvas to the main thread; one that fails after
+ * has taken the canvas with it, so `onLost` asks for a new element. Either way the page stops
+ * trying workers.
+ * Browser only; call from effects.
+ */
+
+// A canvas hands over control only once, so its worker is kept per element and outlives effect
+// re-runs (StrictMode, the motion toggle); it is ended once no effect has picked it up again
+const workers = new WeakMap(); // canvas -> worker renderer
+
+let offscreenSupport = null;
+
+const supportsOffscreen = () => {
+  if (offscreenSupport === null) {
+    try {
+      offscreenSupport =
+        typeof Worker !== "undefined" &&
+        "transferControlToOffscreen" in HTMLCanvasElement.prototype &&
+        Boolean(new OffscreenCanvas(1, 1).getContext("2d"));
+    } catch {
+      offscreenSupport = false;
+    }
+  }
+  return offscreenSupport;
+};
+
+const mainThreadRenderer = (canvas, name) => {
+  const ctx = canvas.getContext("2d");
+  const scene = SCENES[name]();
+  let palette = null;
+  return {
+    resize(width, height, dpr) {
+      canvas.width = width;
+      canvas.height = height;
+      scene.resize(width, height, dpr);
+    },
+    setPalette(next) {
+      palette = next;
+    },
+    draw(input) {
+      scene.draw(ctx, { ...input, palette });
+    },
+    release() {},
+  };
+};
+
+const startWorker = (canvas, name) => {
+  const worker = new Worker(new URL("./canvasWorker.js", import.meta.url), { type: "module" });
+  // "starting" → "running" once it holds the canvas, or "failed"
+  let state = "starting";
+  let queue = [];
+  let busy = true;
+  let carried = 0;
+  let releaseTimer = 0;
+  // Kept to replay on the main thread if the worker never gets the canvas
+  let fallback = null;
+  let size = null;
+  let palette = null;
+  let still = null;
+
+  const post = (message) => {
+    if (state === "starting") queue.push(message);
+    else if (state === "running") worker.postMessage(message);
+  };
+
+  const fail = (reason) => {
+    if (state === "failed") return;
+    const transferred = state === "running";
+    state = "failed";
+    offscreenSupport = false;
+    worker.terminate();
+    workers.delete(canvas);
+    console.warn(`[canvas] ${name} worker failed (${reason}); drawing on the main thread`);
+    if (transferred) {
+      renderer.onLost?.();
+      return;
+    }
+    fallback = mainThreadRenderer(canvas, name);
+    if (palette) fallback.setPalette(palette);
+    if (size) fallback.resize(...size);
+    if (still) fallback.draw(still);
+  };
+
+  worker.addEventListener("message", ({ data }) => {
+    if (data.type === "ready") {
+      let offscreen;
+      try {
+        offscreen = canvas.transferControlToOffscreen();
+      } catch {
+        fail("canvas could not be handed over");
+        return;
+      }
+      state = "running";
+      worker.postMessage({ type: "init", canvas: offscreen, scene: name }, [offscreen]);
+      queue.forEach((message) => worker.postMessage(message));
+      queue = [];
+    }
+    busy = false;
+  });
+  worker.addEventListener("error", (event) => fail(event.message || "could not load"));
+  worker.addEventListener("messageerror", () => fail("unreadable message"));
+
+  const renderer = {
+    onLost: null,
+    resize(width, height, dpr) {
+      size = [width, height, dpr];
+      if (fallback) fallback.resize(width, height, dpr);
+      else post({ type: "resize", width, height, dpr });
+    },
+    setPalette(next) {
+      palette = next;
+      if (fallback) fallback.setPalette(next);
+      else post({ type: "palette", palette });
+    },
+    draw(input, { still: isStill = false } = {}) {
+      if (isStill) still = input;
+      if (fallback) {
+        fallback.draw(input);
+        return;
+      }
+      if (busy && !isStill) {
+        carried += input.dt;
+        return;
+      }
+      if (state === "running") busy = true;
+      post({ type: "draw", input: { ...input, dt: Math.min(input.dt + carried, MAX_DT) }, still: isStill });
+      carried = 0;
+    },
+    acquire(onLost) {
+      clearTimeout(releaseTimer);
+      renderer.onLost = onLost;
+      return renderer;
+    },
+    release() {
+      renderer.onLost = null;
+      releaseTimer = setTimeout(() => {
+        if (state !== "failed") worker.terminate();
+        workers.delete(canvas);
+      });
+    },
+  };
+  workers.set(canvas, renderer);
+  return renderer;
+};
+
+export const createCanvasRenderer = (canvas, name, { onLost } = {}) => {
+  const running = workers.get(canvas);
+  if (running) return running.acquire(onLost);
+  return supportsOffscreen() ? startWorker(canvas, name).acquire(onLost) : mainThreadRenderer(canvas, name);
+};
@@ -0,0 +1,199 @@
+/**
+ * Canvas scenes — the Hero's particle field and sound waves as plain drawing code, with no React
+ * and no DOM beyond the 2D context they are handed, so they run the same on the page or in the
+ * canvas worker (canvasRenderer.js). A scene is
+ * `{ resize(width, height, dpr), draw(ctx, { pointer, dt, quality, palette, signal? }) }`: sizes are
+ * device pixels, `pointer` is viewport CSS px, `dt`/`quality` come from the animation scheduler
+ * (animation.js) and `palette` holds the current theme's canvas tokens (`canvasPalette()` in
+ * theme.js). `signal` is live audio data (samplePlayer.js) for scenes that visualize it.
+ * Motion is scaled by `dt`, so it runs at the same speed whatever the frame rate.
+ */
+
+const FRAME_MS = 1000 / 60;
+
+/**********************
+ * Particle field      *
+ **********************/
+
+const MIN_PARTICLES = 60;
+const AREA_PER_PARTICLE = 18000; // CSS px² per particle at full quality
+
+const spawn = (width, height) => ({
+  x: Math.random() * width,
+  y: Math.random() * height,
+  vx: (Math.random() - 0.5) * 0.4,
+  vy: (Math.random() - 0.5) * 0.4,
+  r: Math.random() * 2 + 0.5,
+  o: Math.random() * 0.6 + 0.2,
+});
+
+/** Drifting particles pushed gently away from the pointer; `quality` decides how many are drawn. */
+export function particleScene() {
+  const particles = [];
+  let width = 0;
+  let height = 0;
+  let dpr = 1;
+
+  return {
+    // Existing particles survive a resize; only the shortfall for a larger area is spawned
+    resize(nextWidth, nextHeight, nextDpr) {
+      [width, height, dpr] = [nextWidth, nextHeight, nextDpr];
+      const wanted = Math.max(MIN_PARTICLES, Math.floor((width * height) / (dpr * dpr) / AREA_PER_PARTICLE));
+      while (particles.length < wanted) particles.push(spawn(width, height));
+      particles.length = wanted;
+      particles.forEach((p) => {
+        p.x = Math.min(p.x, width);
+        p.y = Math.min(p.y, height);
+      });
+    },
+
+    draw(ctx, { pointer, dt, quality, palette }) {
+      const step = dt / FRAME_MS;
+      const drag = 0.98 ** step;
+      const mx = pointer.x * dpr;
+      const my = pointer.y * dpr;
+      const count = Math.max(Math.min(MIN_PARTICLES, particles.length), Math.round(particles.length * quality));
+      ctx.clearRect(0, 0, width, height);
+      ctx.fillStyle = palette.particle;
+      for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        // subtle mouse repulsion
+        const dx = p.x - mx;
+        const dy = p.y - my;
+        const dist = Math.sqrt(dx * dx + dy * dy) + 0.001;
+        const force = Math.min(30 / dist, 0.6);
+        p.vx += (dx / dist) * force * 0.02 * step;
+        p.vy += (dy / dist) * force * 0.02 * step;
+        // motion + bounds
+        p.x += p.vx * step;
+        p.y += p.vy * step;
+        p.vx *= drag;
+        p.vy *= drag;
+        if (p.x < 0 || p.x > width) p.vx *= -1;
+        if (p.y < 0 || p.y > height) p.vy *= -1;
+        // draw
+        ctx.globalAlpha = p.o;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalAlpha = 1;
+    },
+  };
+}
+
+/**********************
+ * Sound waves         *
+ **********************/
+
+const WAVES = 5;
+// Device px between wave points at full quality; low quality spreads them up to MAX_SEGMENT apart
+const SEGMENT = 6;
+const MAX_SEGMENT = 24;
+
+const SPECTRUM_BARS = 64;
+// Voice sits in the lower part of the spectrum; the top bins stay near zero
+const SPECTRUM_SHARE = 0.35;
+
+// Layers cycle through the palette's hues, each darker and fainter than the one before
+const waveColor = (i, { waveHues, waveLightness }) =>
+  `hsla(${waveHues[i % waveHues.length]}, 80%, ${waveLightness - i * 7}%, ${0.75 - i * 0.12})`;
+
+// faint grid overlay for cinematic vibe
+const drawGrid = (ctx, { width, height, dpr, palette }) => {
+  ctx.strokeStyle = palette.grid;
+  ctx.lineWidth = 1;
+  const step = 64 * dpr;
+  ctx.beginPath();
+  for (let x = 0; x < width; x += step) {
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+  }
+  for (let y = 0; y < height; y += step) {
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+  }
+  ctx.stroke();
+};
+
+// The playing call: its waveform as the layered waves (each layer a little later in the buffer,
+// and quieter), over spectrum bars rising from the bottom edge
+const drawSignal = (ctx, { waveform, spectrum }, { width, height, segment, quality, palette }) => {
+  const bars = Math.max(16, Math.round(SPECTRUM_BARS * quality));
+  const bins = Math.floor(spectrum.length * SPECTRUM_SHARE);
+  const barWidth = width / bars;
+  ctx.fillStyle = palette.spectrum;
+  for (let b = 0; b < bars; b++) {
+    const from = Math.floor((b / bars) * bins);
+    const to = Math.max(from + 1, Math.floor(((b + 1) / bars) * bins));
+    let sum = 0;
+    for (let k = from; k < to; k++) sum += spectrum[k];
+    const h = (sum / (to - from) / 255) * height * 0.45;
+    ctx.fillRect(b * barWidth + 1, height - h, barWidth - 2, h);
+  }
+
+  const samples = waveform.length - WAVES * 64;
+  for (let i = 0; i < WAVES; i++) {
+    ctx.strokeStyle = waveColor(i, palette);
+    ctx.lineWidth = 2 + i * 0.7;
+    ctx.beginPath();
+    const gain = height * 0.42 * (1 - i * 0.16);
+    for (let x = 0; x < width + segment; x += segment) {
+      const v = waveform[i * 64 + Math.min(samples - 1, Math.floor((x / width) * samples))];
+      const y = height / 2 + ((v - 128) / 128) * gain;
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+};
+
+/**
+ * Layered sine waves bent by the pointer over a faint grid — or, while a sample call plays, that
+ * call's waveform and spectrum. `quality` sets the wave resolution and the number of bars.
+ */
+export function waveScene() {
+  let width = 0;
+  let height = 0;
+  let dpr = 1;
+  let t = 0;
+
+  return {
+    resize(nextWidth, nextHeight, nextDpr) {
+      [width, height, dpr] = [nextWidth, nextHeight, nextDpr];
+    },
+
+    draw(ctx, { pointer, dt, quality, palette, signal }) {
+      t += 0.005 * (dt / FRAME_MS);
+      ctx.clearRect(0, 0, width, height);
+      const segment = Math.min(MAX_SEGMENT, Math.round(SEGMENT / quality));
+      if (signal) {
+        drawSignal(ctx, signal, { width, height, segment, quality, palette });
+        drawGrid(ctx, { width, height, dpr, palette });
+        return;
+      }
+
+      const mx = pointer.x * dpr;
+      const my = pointer.y * dpr;
+
+      for (let i = 0; i < WAVES; i++) {
+        ctx.strokeStyle = waveColor(i, palette);
+        ctx.lineWidth = 2 + i * 0.7;
+        ctx.beginPath();
+        const f = 0.002 + i * 0.0006;
+        const amp = 30 + i * 10 + Math.sin(t * (1.2 + i * 0.2)) * 10;
+        for (let x = 0; x < width + segment; x += segment) {
+          const mouseInfluence = 0.0009 * ((mx - x) / width);
+          const y = height / 2 + Math.sin(x * f + t * (1 + i * 0.15) + mouseInfluence * (my - height / 2)) * amp;
+          if (x === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+      }
+      drawGrid(ctx, { width, height, dpr, palette });
+    },
+  };
+}
+
+/** Scenes by name — the worker is told which one to create, as functions can't be posted to it. */
+export const SCENES = { particles: particleScene, waves: waveScene };
@@ -0,0 +1,43 @@
+import { qualityMeter } from "./animation";
+import { SCENES } from "./canvasScenes";
+
+/**
+ * Canvas worker — draws one canvas scene into the OffscreenCanvas it was handed; canvasRenderer.js
+ * is the page side. It says `ready` once loaded, and only then is handed the canvas. Messages in:
+ * `init` { canvas, scene }, `resize` { width, height, dpr }, `palette` { palette } and
+ * `draw` { input, still }. Every draw is answered with `drawn`, so the page sends the next frame
+ * only once this one is done.
+ * Quality follows the time spent drawing here, not on the page, which hardly spends any.
+ */
+
+const meter = qualityMeter();
+let canvas = null;
+let ctx = null;
+let scene = null;
+let palette = null;
+
+const handlers = {
+  init(message) {
+    canvas = message.canvas;
+    ctx = canvas.getContext("2d");
+    scene = SCENES[message.scene]();
+  },
+  resize({ width, height, dpr }) {
+    canvas.width = width;
+    canvas.height = height;
+    scene.resize(width, height, dpr);
+  },
+  palette(message) {
+    palette = message.palette;
+  },
+  // Still frames (reduced motion) are drawn at full detail and left out of the meter
+  draw({ input, still }) {
+    const started = performance.now();
+    scene.draw(ctx, { ...input, palette, quality: still ? input.quality : meter.value() });
+    if (!still) meter.record(performance.now() - started);
+    self.postMessage({ type: "drawn" });
+  },
+};
+
+self.addEventListener("message", ({ data }) => handlers[data.type](data));
+self.postMessage({ type: "ready" });
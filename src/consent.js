@@ -0,0 +1,79 @@
+/**
+ * Consent — the visitor's choices for optional categories, persisted in localStorage.
+ * - necessary: always on (lead delivery, theme, consent itself)
+ * - analytics: first-party measurement; tracking code must check before running
+ * - embeds:    third-party iframes such as Calendly that may set their own cookies
+ * Bump CONSENT_VERSION when categories change so visitors are asked again.
+ */
+
+export const CONSENT_VERSION = 1;
+export const CONSENT_CATEGORIES = [
+  { key: "necessary", label: "Necessary", required: true, description: "Keeps the site working: your theme, form delivery and these choices." },
+  { key: "analytics", label: "Analytics", description: "Anonymous, first-party measurement of which sections and buttons get used." },
+  { key: "embeds", label: "Embeds", description: "Third-party content such as the Calendly booking calendar, which may set its own cookies." },
+];
+
+const STORAGE_KEY = "oceanside:consent";
+const DEFAULTS = { necessary: true, analytics: false, embeds: false, decided: false };
+
+const listeners = new Set();
+
+const load = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (saved && saved.version === CONSENT_VERSION) {
+      return { ...DEFAULTS, analytics: !!saved.analytics, embeds: !!saved.embeds, decided: true };
+    }
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULTS;
+};
+
+let current = typeof window === "undefined" ? DEFAULTS : load();
+
+/** Current choices as `{ necessary, analytics, embeds, decided }`. Stable until changed. */
+export const getConsent = () => current;
+
+export const hasConsent = (category) => Boolean(current[category]);
+
+export function setConsent(choices) {
+  current = {
+    ...current,
+    analytics: choices.analytics ?? current.analytics,
+    embeds: choices.embeds ?? current.embeds,
+    necessary: true,
+    decided: true,
+  };
+  try {
+    window.localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: CONSENT_VERSION, analytics: current.analytics, embeds: current.embeds, ts: new Date().toISOString() })
+    );
+  } catch {
+    // choices still apply for this page view
+  }
+  listeners.forEach((fn) => fn(current));
+}
+
+export function subscribeConsent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * Runs `fn` once the category is allowed — immediately if it already is.
+ * Returns an unsubscribe function for callers that go away before consent arrives.
+ */
+export function whenConsented(category, fn) {
+  if (hasConsent(category)) {
+    fn();
+    return () => {};
+  }
+  const off = subscribeConsent(() => {
+    if (!hasConsent(category)) return;
+    off();
+    fn();
+  });
+  return off;
+}
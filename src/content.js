@@ -0,0 +1,64 @@
+/**
+ * Long-form content compiled from src/content/**\/*.md by plugins/markdownContent.js.
+ * Each entry is `{ slug, meta, html, words, translations }`; `meta` is the validated front-matter
+ * and `translations` holds the `<slug>.<locale>.md` versions by locale — read them through
+ * `localized(doc, locale)`, which falls back to the English original.
+ * Sample calls pair a recording with its WebVTT captions (plugins/transcripts.js).
+ */
+
+const byOrder = (a, b) =>
+  (a.meta.order ?? Infinity) - (b.meta.order ?? Infinity) || b.meta.date.localeCompare(a.meta.date);
+
+const collect = (modules) => Object.values(modules).map((m) => m.default);
+
+// English originals, each carrying its translations (slugs are unique within a collection)
+const collectDocs = (modules) => {
+  const docs = collect(modules);
+  return docs
+    .filter((doc) => !doc.locale)
+    .map((doc) => ({
+      ...doc,
+      translations: Object.fromEntries(docs.filter((d) => d.locale && d.slug === doc.slug).map((d) => [d.locale, d])),
+    }));
+};
+
+/** `doc` in `locale`: the translation's text and body over the original's dates, tags and order, else the original. */
+export function localized(doc, locale) {
+  const translation = doc.translations[locale];
+  if (!translation) return doc;
+  return { ...doc, ...translation, meta: { ...doc.meta, ...translation.meta }, translations: doc.translations };
+}
+
+export const CASE_STUDIES = collectDocs(import.meta.glob("./content/case-studies/*.md", { eager: true })).sort(byOrder);
+
+const WORDS_PER_MINUTE = 220;
+
+const withReadingTime = (post) => ({ ...post, readingMinutes: Math.max(1, Math.ceil(post.words / WORDS_PER_MINUTE)) });
+
+// Newest first; each post (and translation) also gets `readingMinutes` for its card and page
+export const INSIGHTS = collectDocs(import.meta.glob("./content/insights/*.md", { eager: true }))
+  .sort(byOrder)
+  .map((post) => ({
+    ...withReadingTime(post),
+    translations: Object.fromEntries(Object.entries(post.translations).map(([locale, t]) => [locale, withReadingTime(t)])),
+  }));
+
+export const INSIGHT_TAGS = [...new Set(INSIGHTS.flatMap((post) => post.meta.tags))].sort();
+
+export const ABOUT = collectDocs(import.meta.glob("./content/about*.md", { eager: true }))[0];
+
+export const LEGAL = Object.fromEntries(
+  collectDocs(import.meta.glob("./content/legal/*.md", { eager: true })).map((doc) => [doc.slug, doc])
+);
+
+const sampleAudio = import.meta.glob("./content/sample-calls/*.{mp3,m4a,ogg,wav}", { eager: true, query: "?url", import: "default" });
+const audioFor = (slug) =>
+  Object.entries(sampleAudio).find(([file]) => file.replace(/^.*\/|\.\w+$/g, "") === slug)?.[1];
+
+// `{ slug, title, cues, audio }`; captions without a recording yet are left out
+export const SAMPLE_CALLS = collect(import.meta.glob("./content/sample-calls/*.vtt", { eager: true }))
+  .map((call) => ({ ...call, audio: audioFor(call.slug) }))
+  .filter((call) => {
+    if (!call.audio && import.meta.env.DEV) console.warn(`[content] sample call "${call.slug}" has captions but no recording`);
+    return Boolean(call.audio);
+  });
@@ -0,0 +1,175 @@
+/**
+ * Demo persona — "Ava", the appointment setter behind the Hero's agent demo (dialogue.js).
+ * She books a strategy call: name, company, use case, call volume, a preferred time and an email.
+ * Use case and call volume come back as the contact wizard's own option values, so the handoff
+ * pre-answers those steps. The script is English only, like the voice it speaks with.
+ */
+
+import siteConfig from "./site-config.json";
+
+export const DEMO_LANG = "en-US";
+
+const USE_CASES = {
+  inbound: "answering inbound calls",
+  outbound: "making outbound calls",
+  appointment_setting: "booking appointments",
+};
+
+const CALL_VOLUMES = {
+  "<500": "under 500",
+  "500-2k": "500 to 2,000",
+  "2k-10k": "2,000 to 10,000",
+  "10k+": "over 10,000",
+};
+
+const firstName = (name) => name.split(" ")[0];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const usd = (amount) =>
+  new Intl.NumberFormat(DEMO_LANG, { style: "currency", currency: siteConfig.currency, maximumFractionDigits: 0 }).format(amount);
+
+/**********************
+ * Slot extractors     *
+ **********************/
+
+const NAME_PHRASE = /\b(?:my name is|my name's|this is|call me)\s+([\p{L}'’-]+(?:\s+[\p{L}'’-]+)?)/iu;
+// A bare answer to "who am I speaking with?" — "Sam", "I'm Sam Lee", "Sam from Acme"
+const NAME_ANSWER = /^(?:hi|hello|hey)?[,!\s]*(?:(?:i'm|i am|it's|it is|i’m|it’s)\s+)?([\p{L}'’-]+(?:\s+[\p{L}'’-]+)?)(?:,?\s+(?:from|at|with)\s+.+)?[.!]?$/iu;
+const NOT_NAMES = /^(?:yes|no|ok|okay|sure|hi|hello|hey|maybe|skip)$/i;
+
+const extractName = (text, { asked }) => {
+  const match = text.match(NAME_PHRASE) || (asked && text.match(NAME_ANSWER));
+  if (!match || NOT_NAMES.test(match[1])) return null;
+  return match[1].split(/\s+/).map(capitalize).join(" ");
+};
+
+const extractCompany = (text, { asked }) => {
+  const phrase =
+    text.match(/\b(?:company is|i work (?:at|for)|we're|we are|calling from)\s+(.{2,60}?)[.!]?$/i) ||
+    text.match(/\b(?:from|at|with)\s+(\p{Lu}[\p{L}\d&.'’-]*(?:\s+\p{Lu}[\p{L}\d&.'’-]*){0,3})/u);
+  if (phrase) return phrase[1].replace(/[.!]$/, "").trim();
+  if (!asked) return null;
+  const answer = text.replace(/^(?:it's|it is|i'm (?:with|at|from)|i am (?:with|at|from)|from|at|with)\s+/i, "").replace(/[.!]$/, "").trim();
+  return answer.length >= 2 && answer.split(/\s+/).length <= 6 ? answer : null;
+};
+
+const USE_CASE_WORDS = [
+  ["appointment_setting", /\b(?:appointment|book(?:ing)?s?|schedul\w*|calendar|meetings?)\b/i],
+  ["outbound", /\b(?:outbound|outgoing|cold call\w*|follow[- ]?ups?|reach(?:ing)? out)\b/i],
+  ["inbound", /\b(?:inbound|incoming|answer\w*|reception\w*|support|front desk)\b/i],
+];
+// Unasked, the use case only counts when it's what the agent is for — "Support Heroes" is a company
+const USE_CASE_PHRASE = /\b(?:handle|handling|use (?:it|them|an agent|a voice agent) for|help (?:us |me )?with|need (?:it|an agent|something) (?:to|for)|want (?:it|an agent) (?:to|for)|(?:it's|it is|mostly|mainly) for)\s+(.{2,60})$/i;
+
+const extractUseCase = (text, { asked }) => {
+  const target = asked ? text : text.match(USE_CASE_PHRASE)?.[1];
+  if (!target) return null;
+  const found = USE_CASE_WORDS.find(([, words]) => words.test(target));
+  return found ? found[0] : null;
+};
+
+const NUMBER_WORDS = { hundred: 100, thousand: 1000, "a few hundred": 300, "a couple hundred": 200, "a few thousand": 3000 };
+
+const extractCallVolume = (text, { asked }) => {
+  if (!asked && !/\bcalls?\b/i.test(text)) return null;
+  const digits = text.replace(/(\d),(\d{3})/g, "$1$2").match(/(\d+(?:\.\d+)?)\s*(k|thousand|hundred)?\b/i);
+  const words = Object.keys(NUMBER_WORDS).find((phrase) => text.toLowerCase().includes(phrase));
+  let calls = null;
+  if (digits) {
+    const unit = (digits[2] || "").toLowerCase();
+    calls = Number(digits[1]) * (unit === "k" || unit === "thousand" ? 1000 : unit === "hundred" ? 100 : 1);
+  } else if (words) {
+    calls = NUMBER_WORDS[words];
+  }
+  if (calls === null) return null;
+  if (calls < 500) return "<500";
+  if (calls < 2000) return "500-2k";
+  if (calls <= 10000) return "2k-10k";
+  return "10k+";
+};
+
+const WHEN = /\b(today|tomorrow|this week|next week|(?:mon|tues|wednes|thurs|fri|satur|sun)day|morning|afternoon|evening|noon|\d{1,2}(?::\d{2})?\s*(?:am|pm)|\d{1,2}:\d{2})\b/gi;
+
+const extractWhen = (text, { asked }) => {
+  const parts = text.match(WHEN);
+  if (parts) return parts.map((part) => (/day$/i.test(part) && !/^to/i.test(part) ? capitalize(part.toLowerCase()) : part.toLowerCase())).join(" ");
+  return asked && /\b(any ?time|whenever|flexible|doesn't matter)\b/i.test(text) ? "any time" : null;
+};
+
+const extractEmail = (text, { asked }) => {
+  const typed = text.match(/[^\s@]+@[^\s@]+\.[^\s@.]{2,}/);
+  if (typed) return typed[0].replace(/[.,!?]+$/, "").toLowerCase();
+  if (!asked) return null;
+  // Dictated addresses arrive as "sam at acme dental dot com"
+  const spoken = text.replace(/\s+dot\s+/gi, ".").match(/(\S+)\s+at\s+([\p{L}\d\s.-]+\.\p{L}{2,})/iu);
+  return spoken ? `${spoken[1]}@${spoken[2].replace(/\s+/g, "")}`.toLowerCase() : null;
+};
+
+/**********************
+ * Persona             *
+ **********************/
+
+const startingPrice = Math.min(...siteConfig.pricing.filter((p) => p.price !== undefined).map((p) => p.price));
+
+export const APPOINTMENT_SETTER = {
+  name: "Ava",
+  greeting: `Hi, thanks for calling ${siteConfig.name}! I'm Ava, and I can get you booked in for a free strategy call.`,
+  slots: [
+    { name: "name", prompt: () => "Who am I speaking with?", extract: extractName },
+    {
+      name: "company",
+      optional: true,
+      prompt: ({ name }) => `Nice to meet you, ${firstName(name)}. Which company are you with?`,
+      extract: extractCompany,
+    },
+    {
+      name: "useCase",
+      prompt: () => "What should your voice agent handle — answering inbound calls, making outbound calls, or booking appointments?",
+      extract: extractUseCase,
+    },
+    { name: "callVolume", prompt: () => "Roughly how many calls a month are we talking about?", extract: extractCallVolume },
+    { name: "when", prompt: () => "When suits you for a 30-minute call? A day and a time of day is plenty.", extract: extractWhen },
+    { name: "email", prompt: () => "And what's the best email for the calendar invite?", extract: extractEmail },
+  ],
+  intents: [
+    { action: "restart", match: /\b(start over|restart|begin again)\b/i },
+    {
+      action: "end",
+      match: /\b(bye|goodbye|hang up|that's all|never ?mind)\b/i,
+      reply: () => `Thanks for calling ${siteConfig.name} — have a great day!`,
+    },
+    {
+      match: /\b(price|pricing|cost|how much|plans?)\b/i,
+      reply: () => `Plans start at ${usd(startingPrice)}, and the team will tailor a quote on the call.`,
+    },
+    {
+      match: /\b(human|real person|someone real|representative|operator)\b/i,
+      reply: () => "Of course — one of our specialists runs the strategy call. I just need a few details first.",
+    },
+    {
+      match: /\b(who are you|are you (?:a |an )?(?:bot|robot|ai|real)|what can you do)\b/i,
+      reply: () =>
+        "I'm a demo voice agent running entirely in your browser. In production I'd be connected to your phone line, CRM and calendar.",
+    },
+    { match: /\b(repeat that|say that again|pardon|come again)\b/i, reply: () => "Sure." },
+  ],
+  affirm: /\b(yes|yeah|yep|sure|correct|right|sounds good|perfect|ok(?:ay)?|go ahead|confirm)\b/i,
+  deny: /\b(no|nope|wrong|not quite|change)\b/i,
+  skip: /\b(skip|no company|none|rather not|just me|myself|freelance|n\/a)\b/i,
+  fallback: "Sorry, I didn't quite catch that.",
+  correction: "No problem — tell me what to change, like “my email is …”.",
+  confirm: ({ name, company, useCase, callVolume, when, email }) =>
+    `Let me check I have that right: ${name}${company ? ` from ${company}` : ""}, looking at ${USE_CASES[useCase]} ` +
+    `with ${CALL_VOLUMES[callVolume]} calls a month, available ${when}, invite to ${email}. Is that correct?`,
+  done: ({ name }) =>
+    `Perfect, ${firstName(name)}! I'll pass this to the team — press “continue” and I'll fill in the contact form for you.`,
+  ended: "This call has ended — start over to talk again.",
+
+  /** Contact form details: fields, pre-answered wizard steps and extra payload context. */
+  handoff: ({ name, company, useCase, callVolume, when, email }) => ({
+    lead: { name, email, company: company || "", message: `Booked through the website agent demo. Preferred time for a strategy call: ${when}.` },
+    answers: { useCase, callVolume },
+    context: { agentDemo: { persona: "appointment_setter", preferredTime: when } },
+  }),
+};
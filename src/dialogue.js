@@ -0,0 +1,78 @@
+/**
+ * Dialogue — a small scripted dialogue engine that runs entirely in the browser (Hero agent demo).
+ * A persona (see demoPersona.js) declares:
+ * - slots:   what to collect, in order — `{ name, optional?, prompt(slots), extract(text, { asked }) }`;
+ *            `extract` returns the value or null, and is told whether this slot was the question
+ * - intents: what a caller may say at any point — `{ match: RegExp, reply(slots) }`, or
+ *            `action: "restart" | "end"` to start over or hang up
+ * - affirm / deny / skip patterns and the greeting, confirm, done, ended and fallback copy
+ * `respond(persona, state, text)` is a pure reducer over plain-data state: intents first, then
+ * slot filling (one answer may fill several slots), then the next question — one agent turn
+ * per caller turn. Once every slot is filled the agent reads the details back; a yes ends the
+ * call in the "done" stage, ready for `persona.handoff(slots)`.
+ */
+
+const agent = (state, text) => ({ ...state, turns: [...state.turns, { from: "agent", text }] });
+
+const nextSlot = (persona, slots) => persona.slots.find((slot) => !(slot.name in slots));
+
+const join = (...parts) => parts.filter(Boolean).join(" ");
+
+// Asks the next open slot, or reads everything back once the last one is filled
+const advance = (persona, state, lead = "") => {
+  const slot = nextSlot(persona, state.slots);
+  if (!slot) return agent({ ...state, stage: "confirming", asking: null }, join(lead, persona.confirm(state.slots)));
+  return agent({ ...state, stage: "collecting", asking: slot.name }, join(lead, slot.prompt(state.slots)));
+};
+
+/** Fresh state with the persona's greeting and first question. */
+export function startDialogue(persona) {
+  return advance(persona, { stage: "collecting", asking: null, slots: {}, misses: 0, turns: [] }, persona.greeting);
+}
+
+// Slot values the text provides; the slot just asked is read generously, the others only when explicit
+const extractSlots = (persona, state, text, { overwrite }) =>
+  Object.fromEntries(
+    persona.slots
+      .filter((slot) => overwrite || !(slot.name in state.slots))
+      .map((slot) => [slot.name, slot.extract(text, { asked: slot.name === state.asking })])
+      .filter(([, value]) => value !== null && value !== undefined && value !== "")
+  );
+
+/** The state after the caller says `text`; the agent's answer is the last turn. */
+export function respond(persona, state, text) {
+  const said = text.trim();
+  if (!said) return state;
+  const heard = { ...state, turns: [...state.turns, { from: "caller", text: said }] };
+  if (state.stage === "done" || state.stage === "ended") return agent(heard, persona.ended);
+
+  const intent = persona.intents.find((i) => i.match.test(said));
+  if (intent?.action === "restart") return startDialogue(persona);
+  if (intent?.action === "end") return agent({ ...heard, stage: "ended", asking: null }, intent.reply(heard.slots));
+  if (intent) {
+    const question = heard.stage === "confirming" ? persona.confirm(heard.slots) : nextSlot(persona, heard.slots)?.prompt(heard.slots);
+    return agent(heard, join(intent.reply(heard.slots), question));
+  }
+
+  if (heard.stage === "confirming") {
+    // A correction ("my email is …") re-reads the details; a plain yes or no settles them
+    const corrected = extractSlots(persona, heard, said, { overwrite: true });
+    if (Object.keys(corrected).length) return advance(persona, { ...heard, slots: { ...heard.slots, ...corrected } });
+    if (persona.affirm.test(said)) return agent({ ...heard, stage: "done" }, persona.done(heard.slots));
+    if (persona.deny.test(said)) return agent(heard, persona.correction);
+    return agent(heard, persona.confirm(heard.slots));
+  }
+
+  const asked = persona.slots.find((slot) => slot.name === heard.asking);
+  const skipped = asked?.optional && persona.skip.test(said);
+  const filled = skipped ? { [asked.name]: null } : extractSlots(persona, heard, said, { overwrite: false });
+  if (!Object.keys(filled).length) {
+    const misses = heard.misses + 1;
+    // After two misses the optional question is dropped rather than asked a third time
+    if (asked?.optional && misses >= 2) {
+      return advance(persona, { ...heard, misses: 0, slots: { ...heard.slots, [asked.name]: null } });
+    }
+    return agent({ ...heard, misses }, join(persona.fallback, asked?.prompt(heard.slots)));
+  }
+  return advance(persona, { ...heard, misses: 0, slots: { ...heard.slots, ...filled } });
+}
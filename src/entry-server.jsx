@@ -0,0 +1,40 @@
+import React from "react";
+import { renderToString } from "react-dom/server";
+import OceansideSite from "./OceansideSite";
+import { CASE_STUDIES, INSIGHTS, INSIGHT_TAGS, LEGAL } from "./content";
+import { atomXml, rssXml } from "./feeds";
+import { headTags, robotsTxt, sitemapXml } from "./seo";
+
+/**
+ * Server entry for the build-time prerender (plugins/prerender.js). Runs in Node, so the site
+ * must render without window/document — browser-only work belongs in effects.
+ */
+
+// One static page per route in OceansideSite's ROUTES; "/404" renders the not-found page (404.html)
+export const PRERENDER_PATHS = [
+  "/",
+  ...Object.keys(LEGAL).map((doc) => `/${doc}`),
+  ...CASE_STUDIES.map(({ slug }) => `/work/${slug}`),
+  "/insights",
+  ...INSIGHT_TAGS.map((tag) => `/insights/tag/${tag}`),
+  ...INSIGHTS.map(({ slug }) => `/insights/${slug}`),
+  "/404",
+];
+
+/** `{ html, head }` for one path: the app markup and the page's <head> tags (seo.js). */
+export const render = (path) => ({
+  html: renderToString(
+    <React.StrictMode>
+      <OceansideSite path={path} />
+    </React.StrictMode>
+  ),
+  head: headTags(path),
+});
+
+/** Extra files written to the build output, by file name. */
+export const staticFiles = () => ({
+  "sitemap.xml": sitemapXml(PRERENDER_PATHS),
+  "robots.txt": robotsTxt(),
+  "rss.xml": rssXml(),
+  "atom.xml": atomXml(),
+});
@@ -0,0 +1,81 @@
+/**
+ * Insights feeds — RSS 2.0 and Atom documents built from the posts in src/content/insights,
+ * written as /rss.xml and /atom.xml by the prerender (entry-server.jsx). Each item carries
+ * the full post HTML; copy around it is the default locale's.
+ */
+
+import siteConfig from "./site-config.json";
+import { INSIGHTS } from "./content";
+import { DEFAULT_LOCALE, translate } from "./i18n";
+import { absoluteUrl, escapeXml } from "./seo";
+
+const feedTitle = () => `${siteConfig.name} — ${translate(DEFAULT_LOCALE, "insights.title")}`;
+const feedDescription = () => translate(DEFAULT_LOCALE, "insights.intro");
+const postUrl = (post) => absoluteUrl(`/insights/${post.slug}`);
+
+// Post dates are days; feeds want instants, so posts count as published at midnight UTC
+const published = (post) => new Date(`${post.meta.date}T00:00:00Z`);
+const updated = () => (INSIGHTS.length ? published(INSIGHTS[0]) : new Date(0));
+
+export function rssXml() {
+  const items = INSIGHTS.map((post) =>
+    [
+      "    <item>",
+      `      <title>${escapeXml(post.meta.title)}</title>`,
+      `      <link>${postUrl(post)}</link>`,
+      `      <guid isPermaLink="true">${postUrl(post)}</guid>`,
+      `      <pubDate>${published(post).toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(post.meta.author)}</dc:creator>`,
+      ...post.meta.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+      `      <description>${escapeXml(post.meta.summary)}</description>`,
+      `      <content:encoded>${escapeXml(post.html)}</content:encoded>`,
+      "    </item>",
+    ].join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${escapeXml(feedTitle())}</title>`,
+    `    <link>${absoluteUrl("/insights")}</link>`,
+    `    <description>${escapeXml(feedDescription())}</description>`,
+    `    <language>${DEFAULT_LOCALE}</language>`,
+    `    <lastBuildDate>${updated().toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${absoluteUrl("/rss.xml")}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+export function atomXml() {
+  const entries = INSIGHTS.map((post) =>
+    [
+      "  <entry>",
+      `    <title>${escapeXml(post.meta.title)}</title>`,
+      `    <link href="${postUrl(post)}" />`,
+      `    <id>${postUrl(post)}</id>`,
+      `    <published>${published(post).toISOString()}</published>`,
+      `    <updated>${published(post).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(post.meta.author)}</name></author>`,
+      ...post.meta.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`),
+      `    <summary>${escapeXml(post.meta.summary)}</summary>`,
+      `    <content type="html">${escapeXml(post.html)}</content>`,
+      "  </entry>",
+    ].join("\n")
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${DEFAULT_LOCALE}">`,
+    `  <title>${escapeXml(feedTitle())}</title>`,
+    `  <subtitle>${escapeXml(feedDescription())}</subtitle>`,
+    `  <link href="${absoluteUrl("/insights")}" />`,
+    `  <link href="${absoluteUrl("/atom.xml")}" rel="self" type="application/atom+xml" />`,
+    `  <id>${absoluteUrl("/insights")}</id>`,
+    `  <updated>${updated().toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,168 @@
+/**
+ * i18n — locale choice, translation catalogs and locale-aware formatting.
+ * Each src/locales/<code>.json catalog has two parts:
+ * - ui:      UI strings by flat key ("nav.services"), with {placeholders} filled by `t(key, vars)`
+ * - content: partial site-config.json for this locale — objects merge by key, arrays by position,
+ *            so anything left out falls back to the English copy
+ * The locale comes from ?lang=, then the visitor's saved choice, then navigator.languages.
+ * No React here: vite.config.js imports this module to check the catalogs.
+ */
+
+import siteConfig from "./site-config.json";
+import { validateSiteConfig } from "./siteConfigSchema.js";
+import en from "./locales/en.json";
+import es from "./locales/es.json";
+import fr from "./locales/fr.json";
+import de from "./locales/de.json";
+import uk from "./locales/uk.json";
+
+export const DEFAULT_LOCALE = "en";
+
+// `name` is the language's own name, shown in the switcher regardless of the active locale
+export const LOCALES = [
+  { code: "en", name: "English", catalog: en },
+  { code: "es", name: "Español", catalog: es },
+  { code: "fr", name: "Français", catalog: fr },
+  { code: "de", name: "Deutsch", catalog: de },
+  { code: "uk", name: "Українська", catalog: uk },
+];
+
+const STORAGE_KEY = "oceanside:locale";
+const byCode = new Map(LOCALES.map((l) => [l.code, l]));
+
+/** First supported locale among BCP 47 tags ("es-MX" → "es"), or null. */
+export function matchLocale(tags) {
+  for (const tag of tags) {
+    const code = String(tag || "").toLowerCase().split("-")[0];
+    if (byCode.has(code)) return code;
+  }
+  return null;
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/** Overlays a locale's partial copy on the English content. */
+export function localizeContent(base, overrides) {
+  if (overrides === undefined) return base;
+  if (Array.isArray(base) && Array.isArray(overrides)) {
+    return base.map((item, i) => localizeContent(item, overrides[i]));
+  }
+  if (isObject(base) && isObject(overrides)) {
+    const keys = new Set([...Object.keys(base), ...Object.keys(overrides)]);
+    return Object.fromEntries([...keys].map((key) => [key, localizeContent(base[key], overrides[key])]));
+  }
+  return overrides;
+}
+
+const listeners = new Set();
+
+const savedLocale = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export function detectLocale() {
+  if (typeof window === "undefined") return DEFAULT_LOCALE;
+  const query = new URLSearchParams(window.location.search).get("lang");
+  const browser = window.navigator.languages?.length ? window.navigator.languages : [window.navigator.language];
+  return matchLocale([query, savedLocale(), ...browser]) || DEFAULT_LOCALE;
+}
+
+let current = detectLocale();
+
+export const getLocale = () => current;
+
+export function setLocale(code) {
+  if (!byCode.has(code) || code === current) return;
+  current = code;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch {
+    // not remembered in private browsing
+  }
+  // A shared ?lang= link would otherwise win over the new choice on reload
+  const url = new URL(window.location.href);
+  if (url.searchParams.has("lang")) {
+    url.searchParams.set("lang", code);
+    window.history.replaceState(window.history.state, "", url);
+  }
+  listeners.forEach((fn) => fn(current));
+}
+
+export function subscribeLocale(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const fill = (template, vars) => template.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+
+const reported = new Set();
+
+/** Looks `key` up in the locale's catalog, then English; an unknown key renders as itself. */
+export function translate(locale, key, vars = {}) {
+  const template = byCode.get(locale)?.catalog.ui[key] ?? en.ui[key];
+  if (template === undefined) {
+    if (!reported.has(key)) console.warn(`[i18n] Missing translation key "${key}"`);
+    reported.add(key);
+    return key;
+  }
+  return fill(template, vars);
+}
+
+const formatters = new Map();
+const formatter = (kind, locale, options, Format = Intl.NumberFormat) => {
+  const id = `${kind}:${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(id)) formatters.set(id, new Format(locale, options));
+  return formatters.get(id);
+};
+
+/**
+ * Everything the UI needs for one locale: `t`, the localized site content and formatters.
+ * Cached per locale so components can depend on it without re-rendering needlessly.
+ */
+const bundles = new Map();
+export function getI18n(locale) {
+  if (!bundles.has(locale)) {
+    bundles.set(locale, {
+      locale,
+      t: (key, vars) => translate(locale, key, vars),
+      content: localizeContent(siteConfig, byCode.get(locale)?.catalog.content),
+      formatMoney: (amount, currency) =>
+        formatter("money", locale, { style: "currency", currency, maximumFractionDigits: 0 }).format(amount),
+      formatNumber: (value) => formatter("number", locale, {}).format(value),
+      formatPercent: (ratio) => formatter("percent", locale, { style: "percent" }).format(ratio),
+      formatDate: (iso) =>
+        formatter("date", locale, { dateStyle: "long", timeZone: "UTC" }, Intl.DateTimeFormat).format(new Date(iso)),
+    });
+  }
+  return bundles.get(locale);
+}
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort().join(" ");
+
+/**
+ * Problems with one catalog: unknown or empty ui keys, placeholders that differ from English,
+ * and content that no longer matches the site-config schema once overlaid.
+ */
+export function validateLocaleCatalog(catalog, { base, reference, iconNames }) {
+  const errors = [];
+  Object.keys(catalog)
+    .filter((key) => key !== "ui" && key !== "content")
+    .forEach((key) => errors.push(`${key}: unknown field (expected one of: ui, content)`));
+  Object.entries(catalog.ui || {}).forEach(([key, text]) => {
+    if (!(key in reference.ui)) return errors.push(`ui["${key}"]: unknown key (every key must exist in en.json)`);
+    if (typeof text !== "string" || !text.trim()) return errors.push(`ui["${key}"]: expected non-empty text`);
+    if (placeholders(text) !== placeholders(reference.ui[key])) {
+      errors.push(`ui["${key}"]: placeholders must match en.json (${placeholders(reference.ui[key]) || "none"})`);
+    }
+  });
+  if (catalog.content !== undefined && !isObject(catalog.content)) {
+    errors.push("content: expected an object of site-config.json overrides");
+  } else {
+    validateSiteConfig(localizeContent(base, catalog.content), { iconNames }).forEach((e) => errors.push(`content.${e}`));
+  }
+  return errors;
+}
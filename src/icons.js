@@ -0,0 +1,82 @@
+/**
+ * Icon registry — Lucide icons that site content may reference by name.
+ * site-config.json uses these names as strings ("icon": "ShieldCheck"); the build rejects
+ * any name missing here. Add an icon by importing it and listing it below.
+ * (A curated list keeps the bundle small — importing every Lucide icon adds hundreds of kB.)
+ */
+
+import {
+  Award,
+  BarChart3,
+  Bot,
+  Briefcase,
+  Building2,
+  Calendar,
+  Clock,
+  Cloud,
+  Cpu,
+  Database,
+  Globe2,
+  Headphones,
+  Languages,
+  Layers,
+  LineChart,
+  Lock,
+  MessageSquare,
+  Mic2,
+  Newspaper,
+  Phone,
+  PhoneCall,
+  Rocket,
+  Server,
+  Shield,
+  ShieldCheck,
+  Sparkles,
+  Stars,
+  Target,
+  Telescope,
+  TrendingUp,
+  Users,
+  Waves,
+  Workflow,
+  Zap,
+} from "lucide-react";
+
+export const ICONS = {
+  Award,
+  BarChart3,
+  Bot,
+  Briefcase,
+  Building2,
+  Calendar,
+  Clock,
+  Cloud,
+  Cpu,
+  Database,
+  Globe2,
+  Headphones,
+  Languages,
+  Layers,
+  LineChart,
+  Lock,
+  MessageSquare,
+  Mic2,
+  Newspaper,
+  Phone,
+  PhoneCall,
+  Rocket,
+  Server,
+  Shield,
+  ShieldCheck,
+  Sparkles,
+  Stars,
+  Target,
+  Telescope,
+  TrendingUp,
+  Users,
+  Waves,
+  Workflow,
+  Zap,
+};
+
+export const ICON_NAMES = Object.keys(ICONS);
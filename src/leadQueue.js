@@ -0,0 +1,185 @@
+/**
+ * Lead Queue — offline-resilient delivery to every configured lead sink.
+ * - Every submission carries an idempotency key so retries can be de-duplicated downstream.
+ * - Failed sends are persisted per sink to localStorage and retried with exponential backoff
+ *   whenever the page is online (on load, on the `online` event, and on timers).
+ * - Entries older than MAX_AGE are dropped so the queue can't grow forever.
+ * - leadQueueStatus(leadId) tells the form whether each queued sink was delivered or expired.
+ */
+
+import { isRetryable, sendToSink, sinkLabel } from "./leadSinks";
+
+const STORAGE_KEY = "oceanside:lead-queue";
+const BASE_DELAY = 2000;
+const MAX_DELAY = 5 * 60 * 1000;
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const listeners = new Set();
+// leadId -> { [sinkId]: "sent" | "expired" } for entries this page took off the queue
+const settled = new Map();
+let timer = null;
+let flushing = null;
+
+const isOnline = () => typeof navigator === "undefined" || navigator.onLine !== false;
+
+const backoff = (attempts) => {
+  const delay = Math.min(BASE_DELAY * 2 ** attempts, MAX_DELAY);
+  return delay / 2 + Math.random() * (delay / 2); // jitter so tabs don't retry in lockstep
+};
+
+// Entries written before sinks existed carried a bare webhook url + payload
+const migrate = (item) =>
+  item.sink
+    ? item
+    : { ...item, leadId: item.id, sink: { id: "json", type: "json", url: item.url }, lead: item.payload };
+
+const read = () => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw).map(migrate) : [];
+  } catch {
+    return [];
+  }
+};
+
+const write = (items) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+  listeners.forEach((fn) => fn(items));
+};
+
+const update = (id, patch) => {
+  write(read().flatMap((item) => (item.id !== id ? [item] : patch ? [{ ...item, ...patch }] : [])));
+};
+
+// Background flushes have no caller to report a full or blocked storage to; the entry stays as it was
+const tryUpdate = (id, patch) => {
+  try {
+    update(id, patch);
+  } catch {
+    // retried on the next flush
+  }
+};
+
+const settle = (entry, outcome) => {
+  settled.set(entry.leadId, { ...settled.get(entry.leadId), [entry.sink.id]: outcome });
+  tryUpdate(entry.id, null);
+};
+
+export const createIdempotencyKey = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+const schedule = () => {
+  clearTimeout(timer);
+  timer = null;
+  const items = read();
+  if (!items.length || !isOnline()) return;
+  const next = Math.min(...items.map((i) => i.nextAt));
+  timer = setTimeout(flushLeadQueue, Math.max(0, next - Date.now()));
+};
+
+export function enqueueLead(sink, lead) {
+  const now = Date.now();
+  const id = `${lead.idempotencyKey}:${sink.id}`;
+  const items = read().filter((i) => i.id !== id);
+  write([...items, { id, leadId: lead.idempotencyKey, sink, lead, attempts: 0, createdAt: now, nextAt: now + backoff(0) }]);
+  schedule();
+  return id;
+}
+
+const deliver = async (sink, lead) => {
+  if (isOnline() || !isRetryable(sink)) {
+    try {
+      await sendToSink(sink, lead);
+      return "sent";
+    } catch {
+      if (!isRetryable(sink)) return "failed";
+      // fall through to the queue
+    }
+  }
+  enqueueLead(sink, lead);
+  return "queued";
+};
+
+/**
+ * Fans the lead out to every sink; a sink that can't be reached queues instead of dropping it.
+ * Resolves to one `{ id, label, status }` per sink, status being "sent", "queued" or "failed"
+ * ("failed" only when the lead could neither be delivered nor persisted).
+ */
+export async function submitLead(sinks, lead) {
+  return Promise.all(
+    sinks.map(async (sink) => {
+      let status;
+      try {
+        status = await deliver(sink, lead);
+      } catch {
+        status = "failed";
+      }
+      return { id: sink.id, label: sinkLabel(sink), status };
+    })
+  );
+}
+
+export function flushLeadQueue() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const now = Date.now();
+    for (const entry of read()) {
+      if (now - entry.createdAt > MAX_AGE) {
+        settle(entry, "expired");
+        continue;
+      }
+      if (entry.nextAt > now || !isOnline()) continue;
+      try {
+        await sendToSink(entry.sink, entry.lead);
+        settle(entry, "sent");
+      } catch {
+        const attempts = entry.attempts + 1;
+        tryUpdate(entry.id, { attempts, nextAt: Date.now() + backoff(attempts) });
+      }
+    }
+  })().finally(() => {
+    flushing = null;
+    schedule();
+  });
+  return flushing;
+}
+
+/**
+ * `{ [sinkId]: "queued" | "sent" | "expired" }` for a lead's queued sinks. A sink another tab
+ * delivered is simply gone from the queue, so a missing sink counts as sent.
+ */
+export function leadQueueStatus(leadId) {
+  const status = { ...settled.get(leadId) };
+  read()
+    .filter((i) => i.leadId === leadId)
+    .forEach((i) => {
+      status[i.sink.id] = "queued";
+    });
+  return status;
+}
+
+export function subscribeLeadQueue(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** Starts background retries. Returns a cleanup function for use in an effect. */
+export function startLeadQueue() {
+  if (typeof window === "undefined") return () => {};
+  const onOnline = () => flushLeadQueue();
+  const onOffline = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onOffline);
+  flushLeadQueue();
+  return () => {
+    window.removeEventListener("online", onOnline);
+    window.removeEventListener("offline", onOffline);
+    clearTimeout(timer);
+    timer = null;
+  };
+}
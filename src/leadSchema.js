@@ -0,0 +1,99 @@
+/**
+ * Lead Schema — declarative field rules for LeadForm.
+ * Each field drives its Input/TextArea (label, type, multiline) and its validation
+ * (required, minLength, maxLength, rule). `validateLead` returns normalized values
+ * plus per-field error messages; only normalized values should ever leave the page.
+ * Labels and messages are English; callers pass `{ labels, messages }` to show another locale.
+ */
+
+export const LEAD_SCHEMA = [
+  { name: "name", label: "Full name", autoComplete: "name", required: true, minLength: 2, maxLength: 80 },
+  { name: "email", label: "Email", type: "email", autoComplete: "email", required: true, maxLength: 254, rule: "email" },
+  { name: "company", label: "Company", autoComplete: "organization", maxLength: 120 },
+  { name: "phone", label: "Phone", type: "tel", autoComplete: "tel", rule: "phone", hint: "Include country code, e.g. +1 555 123 4567" },
+  {
+    name: "message",
+    label: "What are you hoping to build?",
+    multiline: true,
+    required: true,
+    minLength: 10,
+    maxLength: 2000,
+    className: "md:col-span-2",
+  },
+];
+
+const DEFAULT_COUNTRY_CODE = "1";
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+// Numbers without a country code are only assumed North American when they look like one
+const NANP_RE = /^[2-9]\d{2}[2-9]\d{6}$/;
+
+/** Normalizes a free-text phone number to E.164, or returns null if it can't be. */
+export function toE164(input) {
+  const raw = String(input).trim();
+  if (!/^[+\d\s().\-/]+$/.test(raw)) return null;
+  let digits = raw.replace(/\D/g, "");
+  if (raw.startsWith("+")) {
+    // already international
+  } else if (digits.startsWith("00")) {
+    digits = digits.slice(2);
+  } else if (NANP_RE.test(digits)) {
+    digits = DEFAULT_COUNTRY_CODE + digits;
+  } else if (!(digits.startsWith(DEFAULT_COUNTRY_CODE) && NANP_RE.test(digits.slice(1)))) {
+    return null;
+  }
+  const e164 = `+${digits}`;
+  return E164_RE.test(e164) ? e164 : null;
+}
+
+export const LEAD_MESSAGES = {
+  required: "{field} is required.",
+  minLength: "{field} must be at least {min} characters.",
+  maxLength: "{field} must be at most {max} characters.",
+  email: "Enter a valid email address.",
+  phone: "Enter a valid phone number with country code.",
+};
+
+const RULES = {
+  email: (v) => (EMAIL_RE.test(v) ? { value: v.toLowerCase() } : { error: "email" }),
+  phone: (v) => {
+    const value = toE164(v);
+    return value ? { value } : { error: "phone" };
+  },
+};
+
+const message = (messages, key, vars = {}) =>
+  (messages[key] ?? LEAD_MESSAGES[key]).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+
+export function validateField(field, input, { labels = {}, messages = LEAD_MESSAGES } = {}) {
+  const trimmed = typeof input === "string" ? input.trim() : "";
+  const value = field.multiline ? trimmed : trimmed.replace(/\s+/g, " ");
+  const label = labels[field.name] ?? field.label;
+  if (!value) return field.required ? { value, error: message(messages, "required", { field: label }) } : { value };
+  if (field.minLength && value.length < field.minLength) {
+    return { value, error: message(messages, "minLength", { field: label, min: field.minLength }) };
+  }
+  if (field.maxLength && value.length > field.maxLength) {
+    return { value, error: message(messages, "maxLength", { field: label, max: field.maxLength }) };
+  }
+  if (field.rule) {
+    const result = RULES[field.rule](value);
+    if (result.error) return { value, error: message(messages, result.error) };
+    return { value: result.value };
+  }
+  return { value };
+}
+
+export function validateLead(input, schema = LEAD_SCHEMA, options) {
+  const values = {};
+  const errors = {};
+  schema.forEach((field) => {
+    const { value, error } = validateField(field, input[field.name], options);
+    values[field.name] = value;
+    if (error) errors[field.name] = error;
+  });
+  return { values, errors, valid: Object.keys(errors).length === 0 };
+}
+
+export const emptyLead = (schema = LEAD_SCHEMA) =>
+  Object.fromEntries(schema.map((field) => [field.name, ""]));
@@ -0,0 +1,145 @@
+/**
+ * Lead Sinks — pluggable destinations for LeadForm submissions.
+ * Each adapter maps the form's lead object into its own wire format:
+ * - json:       generic JSON POST (the Make.com webhook by default)
+ * - hubspot:    HubSpot Forms submission API
+ * - salesforce: Salesforce Web-to-Lead (form-encoded, opaque no-cors response)
+ * - mailto:     hands the lead to the visitor's mail client (not retryable)
+ *
+ * Sinks are chosen per deployment through Vite env (see .env.example):
+ *   VITE_LEAD_SINKS=json,hubspot
+ * Setting VITE_LEAD_SINK_MOCK=1 (or true) points every HTTP sink at the dev server's /__mock/leads endpoint.
+ */
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+const splitName = (name = "") => {
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return { first: first || "", last: rest.join(" ") || first || "" };
+};
+
+/** Flattens the structured wizard answers for destinations that only take free text. */
+const describeLead = (lead) => {
+  const lines = [lead.message];
+  Object.entries(lead.qualification || {}).forEach(([key, value]) => {
+    const text = Array.isArray(value) ? value.join(", ") : value;
+    if (text) lines.push(`${key}: ${text}`);
+  });
+  return lines.filter(Boolean).join("\n");
+};
+
+const ADAPTERS = {
+  json: {
+    label: "Webhook",
+    env: { url: "VITE_LEAD_WEBHOOK_URL" },
+    request: (lead, { url }) => ({
+      url,
+      init: { method: "POST", headers: JSON_HEADERS, body: JSON.stringify(lead) },
+    }),
+  },
+  hubspot: {
+    label: "HubSpot",
+    env: { portalId: "VITE_HUBSPOT_PORTAL_ID", formGuid: "VITE_HUBSPOT_FORM_GUID" },
+    request: (lead, { url, portalId, formGuid }) => {
+      const { first, last } = splitName(lead.name);
+      const fields = {
+        firstname: first,
+        lastname: last,
+        email: lead.email,
+        company: lead.company,
+        phone: lead.phone,
+        message: describeLead(lead),
+      };
+      return {
+        url: url || `https://api.hsforms.com/submissions/v3/integration/submit/${portalId}/${formGuid}`,
+        init: {
+          method: "POST",
+          headers: JSON_HEADERS,
+          body: JSON.stringify({
+            submittedAt: Date.parse(lead.ts),
+            fields: Object.entries(fields)
+              .filter(([, value]) => value)
+              .map(([name, value]) => ({ name, value })),
+            context: { pageUri: window.location.href, pageName: document.title },
+          }),
+        },
+      };
+    },
+  },
+  salesforce: {
+    label: "Salesforce",
+    env: { oid: "VITE_SALESFORCE_OID" },
+    request: (lead, { url, oid }) => {
+      const { first, last } = splitName(lead.name);
+      const utm = lead.attribution?.lastTouch || {};
+      const body = new URLSearchParams({
+        oid,
+        first_name: first,
+        last_name: last,
+        email: lead.email,
+        company: lead.company || "—",
+        phone: lead.phone,
+        description: describeLead(lead),
+        lead_source: utm.utm_source || "Website",
+      });
+      return {
+        url: url || "https://webto.salesforce.com/servlet/servlet.WebToLead?encoding=UTF-8",
+        // Web-to-Lead sends no CORS headers; the response is opaque and counted as delivered
+        init: { method: "POST", mode: "no-cors", body },
+      };
+    },
+  },
+  mailto: {
+    label: "Email",
+    retryable: false,
+    env: { to: "VITE_LEAD_MAILTO" },
+    send: (lead, { to }) => {
+      const subject = `New lead: ${lead.name}${lead.company ? ` (${lead.company})` : ""}`;
+      const body = [`${lead.name} <${lead.email}>`, lead.phone, "", describeLead(lead)].filter((l) => l !== undefined).join("\n");
+      window.location.href = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    },
+  },
+};
+
+export const isRetryable = (sink) => ADAPTERS[sink.type]?.retryable !== false;
+
+export const sinkLabel = (sink) => ADAPTERS[sink.type]?.label ?? sink.type;
+
+/** Delivers one lead to one sink. Throws on network errors and non-2xx responses. */
+export async function sendToSink(sink, lead) {
+  const adapter = ADAPTERS[sink.type];
+  if (!adapter) throw new Error(`Unknown lead sink "${sink.type}"`);
+  if (adapter.send) return adapter.send(lead, sink);
+  const { url, init } = adapter.request(lead, sink);
+  const res = await fetch(url, { keepalive: true, ...init });
+  if (res.type !== "opaque" && !res.ok) throw new Error(`${adapter.label} responded with ${res.status}`);
+}
+
+/**
+ * Builds the sink list from Vite env. Misconfigured sinks are skipped with a console error
+ * (rather than breaking the page); if none survive, the default webhook is used.
+ */
+export function resolveLeadSinks(env, { webhook }) {
+  const types = (env.VITE_LEAD_SINKS || "json").split(",").map((t) => t.trim()).filter(Boolean);
+  const mock = env.VITE_LEAD_SINK_MOCK === "1" || env.VITE_LEAD_SINK_MOCK === "true";
+  const sinks = types.flatMap((type) => {
+    const adapter = ADAPTERS[type];
+    if (!adapter) {
+      console.error(`[lead-sinks] Unknown sink "${type}" in VITE_LEAD_SINKS (expected one of: ${Object.keys(ADAPTERS).join(", ")})`);
+      return [];
+    }
+    const sink = { id: type, type };
+    Object.entries(adapter.env).forEach(([option, name]) => {
+      sink[option] = env[name];
+    });
+    if (type === "json" && !sink.url) sink.url = webhook;
+    if (mock && adapter.request) sink.url = `/__mock/leads/${type}`;
+    const missing = Object.entries(adapter.env).filter(([option]) => !sink[option]);
+    if (missing.length && !sink.url) {
+      console.error(`[lead-sinks] Sink "${type}" is missing ${missing.map(([, name]) => name).join(", ")}`);
+      return [];
+    }
+    return [sink];
+  });
+  return sinks.length ? sinks : [{ id: "json", type: "json", url: webhook }];
+}
@@ -1,10 +1,20 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import OceansideSite from "./OceansideSite";
+import { captureAttribution } from "./attribution";
+import { configureAnalytics, resolveAnalyticsSinks } from "./analytics";
 import "../styles/globals.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
+captureAttribution();
+configureAnalytics({ sinks: resolveAnalyticsSinks(import.meta.env) });
+
+const root = document.getElementById("root");
+const app = (
   <React.StrictMode>
     <OceansideSite />
   </React.StrictMode>
 );
+
+// Built pages arrive prerendered (plugins/prerender.js); the dev server serves an empty root
+if (root.hasChildNodes()) ReactDOM.hydrateRoot(root, app);
+else ReactDOM.createRoot(root).render(app);
@@ -0,0 +1,61 @@
+/**
+ * Motion — whether the site should animate. Follows the OS `prefers-reduced-motion` setting, live,
+ * unless the visitor has used the toggle: their choice is saved in localStorage, and a choice
+ * that matches the OS again goes back to following it.
+ * While reduced, <html> carries the `reduce-motion` class: globals.css drops smooth scrolling and
+ * CSS animations, and the `motion-ok:` Tailwind variant (hover lifts etc.) stops matching.
+ * Canvases draw a single static frame and Framer Motion keeps opacity fades only (OceansideSite.jsx).
+ */
+
+const STORAGE_KEY = "oceanside:motion";
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+const listeners = new Set();
+
+const media = () => (typeof window === "undefined" || !window.matchMedia ? null : window.matchMedia(QUERY));
+
+const systemReduced = () => Boolean(media()?.matches);
+
+const savedChoice = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved === "reduce" || saved === "full" ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+let choice = typeof window === "undefined" ? null : savedChoice();
+
+/** True when motion should be kept to a minimum. */
+export const prefersReducedMotion = () => (choice ? choice === "reduce" : systemReduced());
+
+const apply = () => {
+  document.documentElement.classList.toggle("reduce-motion", prefersReducedMotion());
+  listeners.forEach((fn) => fn());
+};
+
+export function setReducedMotion(reduce) {
+  choice = reduce === systemReduced() ? null : reduce ? "reduce" : "full";
+  try {
+    if (choice) window.localStorage.setItem(STORAGE_KEY, choice);
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // unsaved; the next visit starts from the last stored choice
+  }
+  apply();
+}
+
+export function subscribeMotion(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** `scrollIntoView`/`scrollTo` behavior that respects the setting. */
+export const scrollBehavior = () => (prefersReducedMotion() ? "auto" : "smooth");
+
+// Keep <html> and subscribers in step with the OS setting from the first paint on
+if (typeof window !== "undefined") {
+  media()?.addEventListener?.("change", apply);
+  apply();
+}
@@ -0,0 +1,32 @@
+/**
+ * Pricing — what a plan costs per billing period and currency, from site-config.json.
+ * Tier prices are monthly amounts in `currency`; annual billing takes `billing.annualDiscount`
+ * off, and the other `currencies` convert at their static rates (no live exchange rates).
+ * Amounts are rounded to whole units, like the prices shown.
+ */
+
+import siteConfig from "./site-config.json";
+
+export const BILLING_PERIODS = ["monthly", "annual"];
+
+export const CURRENCIES = siteConfig.currencies.map((c) => c.code);
+
+export const ANNUAL_DISCOUNT = siteConfig.billing.annualDiscount;
+
+const rate = (currency) => siteConfig.currencies.find((c) => c.code === currency)?.rate ?? 1;
+
+/** `amount` in the base currency, in `currency`. */
+export const convert = (amount, currency) => Math.round(amount * rate(currency));
+
+/** Re-expresses an amount typed in one currency in another. */
+export const exchange = (amount, from, to) => (amount * rate(to)) / rate(from);
+
+/**
+ * `{ perMonth, perPeriod }` for a `pricing` entry — `perPeriod` is the invoice (a month, or
+ * twelve discounted months) — or null for tiers priced on request.
+ */
+export function planPrice(plan, { billing = "monthly", currency = siteConfig.currency } = {}) {
+  if (plan.price === undefined) return null;
+  const perMonth = convert(billing === "annual" ? plan.price * (1 - ANNUAL_DISCOUNT) : plan.price, currency);
+  return { perMonth, perPeriod: billing === "annual" ? perMonth * 12 : perMonth };
+}
@@ -0,0 +1,68 @@
+/**
+ * ROI — the estimate behind the Pricing section's calculator.
+ * - Savings: the agent-hours the voice agent takes over (every call × handle time × hourly cost)
+ * - Recovered revenue: calls that used to go unanswered, a share of which turn into deals
+ * - Tier: the cheapest `pricing` tier whose monthly minutes cover the volume; tiers without a
+ *   `minutes` limit (Enterprise) cover anything
+ * Money is in whichever currency the visitor picked; the plan price is converted to match.
+ * Inputs and results are plain numbers, so both go into the lead payload as they are.
+ */
+
+import siteConfig from "./site-config.json";
+import { planPrice } from "./pricing";
+
+/** Share of recovered calls assumed to become a deal — shown alongside the estimate. */
+export const DEAL_RATE = 0.2;
+
+/**
+ * Where the calculator starts; each input's `min`/`max`/`step` bound what a visitor can enter.
+ * `money` inputs are amounts in the base currency here and follow the currency selector.
+ */
+export const ROI_INPUTS = [
+  { name: "callVolume", initial: 1000, min: 0, max: 100000, step: 50 },
+  { name: "handleMinutes", initial: 4, min: 0.5, max: 60, step: 0.5 },
+  { name: "hourlyCost", initial: 28, min: 0, max: 50000, step: 1, money: true },
+  { name: "missedRate", initial: 15, min: 0, max: 100, step: 1 }, // percent of calls
+  { name: "dealValue", initial: 400, min: 0, max: 100000000, step: 10, money: true },
+];
+
+export const initialRoiInputs = () => Object.fromEntries(ROI_INPUTS.map((input) => [input.name, input.initial]));
+
+/** Clamps a typed value into the input's range; anything unparseable falls back to the minimum. */
+export function clampRoiInput(name, value) {
+  const { min, max } = ROI_INPUTS.find((input) => input.name === name);
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : min;
+}
+
+/** The tier whose minutes cover `minutes`: cheapest first, unlimited tiers last. */
+export function recommendTier(minutes) {
+  const byLimit = [...siteConfig.pricing].sort((a, b) => (a.minutes ?? Infinity) - (b.minutes ?? Infinity));
+  return byLimit.find((p) => p.minutes === undefined || p.minutes >= minutes) ?? byLimit[byLimit.length - 1];
+}
+
+/**
+ * Monthly estimate for `{ callVolume, handleMinutes, hourlyCost, missedRate, dealValue }`:
+ * `{ minutes, savings, recoveredCalls, recoveredRevenue, tier, price, net }`. `price` is the
+ * tier's monthly cost for the `{ billing, currency }` shown; it and `net` (savings + recovered
+ * revenue − plan price) are null for tiers priced on request.
+ */
+export function estimateRoi({ callVolume, handleMinutes, hourlyCost, missedRate, dealValue }, pricing) {
+  const minutes = Math.round(callVolume * handleMinutes);
+  const missed = missedRate / 100;
+  const answered = callVolume * (1 - missed);
+  const savings = Math.round(((answered * handleMinutes) / 60) * hourlyCost);
+  const recoveredCalls = Math.round(callVolume * missed);
+  const recoveredRevenue = Math.round(recoveredCalls * DEAL_RATE * dealValue);
+  const tier = recommendTier(minutes);
+  const price = planPrice(tier, pricing)?.perMonth ?? null;
+  return {
+    minutes,
+    savings,
+    recoveredCalls,
+    recoveredRevenue,
+    tier: tier.tier,
+    price,
+    net: price === null ? null : savings + recoveredRevenue - price,
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Router — minimal pushState routing for real paths (/privacy, /terms, /work/:slug).
+ * Lives alongside in-page hash navigation: `navigate("/#pricing")` switches to the home
+ * route and then scrolls to the anchor. Patterns support `:param` segments only.
+ */
+
+import { scrollBehavior } from "./motion";
+
+const listeners = new Set();
+
+const normalize = (path) => (path.length > 1 ? path.replace(/\/+$/, "") : path) || "/";
+
+// Segments and anchors come from the address bar, so a malformed escape ("%E0%A4%A") reads as null
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+export const currentPath = () => (typeof window === "undefined" ? "/" : normalize(window.location.pathname));
+
+export function subscribeRoute(fn) {
+  listeners.add(fn);
+  window.addEventListener("popstate", fn);
+  return () => {
+    listeners.delete(fn);
+    window.removeEventListener("popstate", fn);
+  };
+}
+
+/** Client-side navigation for same-origin paths; anything else is a normal page load. */
+export function navigate(to, { replace = false } = {}) {
+  const url = new URL(to, window.location.href);
+  if (url.origin !== window.location.origin) {
+    window.location.assign(url.href);
+    return;
+  }
+  const samePath = normalize(url.pathname) === currentPath();
+  window.history[replace ? "replaceState" : "pushState"](null, "", url.pathname + url.search + url.hash);
+  if (!samePath) listeners.forEach((fn) => fn());
+  // Let the new route render before scrolling to its anchor (or the top)
+  requestAnimationFrame(() => {
+    const id = url.hash && decode(url.hash.slice(1));
+    const target = id && document.getElementById(id);
+    if (target) target.scrollIntoView({ behavior: scrollBehavior(), block: "start" });
+    else if (!samePath) window.scrollTo(0, 0);
+  });
+}
+
+/** Returns `{ route, params }` for the first route whose pattern matches, or null (also for a param that doesn't decode). */
+export function matchRoute(routes, path) {
+  const parts = normalize(path).split("/").filter(Boolean);
+  for (const route of routes) {
+    const pattern = route.path.split("/").filter(Boolean);
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        params[seg.slice(1)] = decode(parts[i]);
+        return params[seg.slice(1)] !== null;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { route, params };
+  }
+  return null;
+}
@@ -0,0 +1,90 @@
+/**
+ * Sample player — plays one of the bundled sample calls (SAMPLE_CALLS in content.js) through the
+ * Web Audio API, so SoundWaves can draw the real signal from an AnalyserNode while it plays.
+ * - `playSample(call)` / `stopSample()`; starting a call stops the one before it
+ * - `getPlayback()` → `{ slug, status: "idle" | "loading" | "playing" | "error", time }`, with
+ *   `time` in seconds for the captions; `subscribePlayback(fn)` for changes
+ * - `readSignal()` → `{ waveform, spectrum }` (byte arrays, refilled in place) while playing, else null
+ * One AudioContext for the page, created on the first play (browsers only allow it after a click).
+ */
+
+const FFT_SIZE = 2048;
+
+const IDLE = { slug: null, status: "idle", time: 0 };
+
+const listeners = new Set();
+let playback = IDLE;
+let context = null;
+let analyser = null;
+let signal = null;
+let audio = null;
+let source = null;
+
+const set = (next) => {
+  playback = { ...playback, ...next };
+  listeners.forEach((fn) => fn(playback));
+};
+
+export const getPlayback = () => playback;
+
+export function subscribePlayback(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const ensureGraph = () => {
+  if (context) return;
+  context = new (window.AudioContext || window.webkitAudioContext)();
+  analyser = context.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.8;
+  analyser.connect(context.destination);
+  signal = { waveform: new Uint8Array(analyser.fftSize), spectrum: new Uint8Array(analyser.frequencyBinCount) };
+};
+
+export function stopSample() {
+  if (audio) {
+    audio.pause();
+    audio.removeAttribute("src");
+    source?.disconnect();
+  }
+  audio = null;
+  source = null;
+  if (playback !== IDLE) {
+    playback = IDLE;
+    listeners.forEach((fn) => fn(playback));
+  }
+}
+
+// Never rejects: a browser without Web Audio, or a call that won't load or play, ends in "error"
+export async function playSample(call) {
+  stopSample();
+  set({ slug: call.slug, status: "loading", time: 0 });
+  let element = null;
+  try {
+    ensureGraph();
+    element = new Audio(call.audio);
+    element.preload = "auto";
+    audio = element;
+    source = context.createMediaElementSource(element);
+    source.connect(analyser);
+    // Events from a call that has since been replaced are ignored
+    const current = (fn) => (...args) => audio === element && fn(...args);
+    element.addEventListener("timeupdate", current(() => set({ time: element.currentTime })));
+    element.addEventListener("ended", current(stopSample));
+    element.addEventListener("error", current(() => set({ status: "error" })));
+    await context.resume();
+    await element.play();
+    if (audio === element) set({ status: "playing" });
+  } catch {
+    // `audio` is still null when the graph couldn't be built
+    if (audio === element) set({ status: "error" });
+  }
+}
+
+export function readSignal() {
+  if (playback.status !== "playing" || !analyser) return null;
+  analyser.getByteTimeDomainData(signal.waveform);
+  analyser.getByteFrequencyData(signal.spectrum);
+  return signal;
+}
@@ -0,0 +1,201 @@
+/**
+ * SEO — per-page head tags and structured data, built from site-config.json and src/content.
+ * - pageMeta(path): title, description, canonical URL and JSON-LD for one route
+ * - headTags(path): the same as HTML for the prerender (plugins/prerender.js), plus one hreflang
+ *   alternate per locale (`?lang=<code>`) and x-default
+ * - sitemapXml(paths) / robotsTxt(): written next to the pages at build time
+ * The home page carries the rich-result data: Organization (with pricing as an OfferCatalog),
+ * one Service per service and the FAQPage; Insights posts are BlogPostings.
+ * Copy is the default locale's, as prerendered.
+ */
+
+import siteConfig from "./site-config.json";
+import { CASE_STUDIES, INSIGHTS, INSIGHT_TAGS, LEGAL } from "./content";
+import { DEFAULT_LOCALE, LOCALES, translate } from "./i18n";
+import { matchRoute } from "./router";
+
+export const absoluteUrl = (path) => new URL(path, siteConfig.url).href;
+
+const ORGANIZATION_ID = absoluteUrl("/#organization");
+
+const organization = () => ({
+  "@type": "Organization",
+  "@id": ORGANIZATION_ID,
+  name: siteConfig.name,
+  url: absoluteUrl("/"),
+  logo: absoluteUrl("/favicon.png"),
+  description: siteConfig.tagline,
+  hasOfferCatalog: {
+    "@type": "OfferCatalog",
+    name: `${siteConfig.name} pricing`,
+    itemListElement: siteConfig.pricing.map((p) => ({
+      "@type": "Offer",
+      name: p.tier,
+      description: p.tagline,
+      url: absoluteUrl("/#pricing"),
+      // Tiers priced on request stay offers without a price
+      ...(p.price === undefined ? {} : { price: p.price, priceCurrency: siteConfig.currency }),
+      seller: { "@id": ORGANIZATION_ID },
+    })),
+  },
+});
+
+const services = () =>
+  siteConfig.services.map((s) => ({
+    "@type": "Service",
+    name: s.name,
+    description: s.desc,
+    serviceType: s.name,
+    provider: { "@id": ORGANIZATION_ID },
+  }));
+
+const faqPage = () => ({
+  "@type": "FAQPage",
+  mainEntity: siteConfig.faqs.map((f) => ({
+    "@type": "Question",
+    name: f.q,
+    acceptedAnswer: { "@type": "Answer", text: f.a },
+  })),
+});
+
+const blogPosting = (post) => ({
+  "@type": "BlogPosting",
+  headline: post.meta.title,
+  description: post.meta.summary,
+  datePublished: post.meta.date,
+  author: { "@type": "Person", name: post.meta.author },
+  publisher: { "@id": ORGANIZATION_ID },
+  mainEntityOfPage: absoluteUrl(`/insights/${post.slug}`),
+  keywords: post.meta.tags.join(", "),
+  wordCount: post.words,
+});
+
+const t = (key, vars) => translate(DEFAULT_LOCALE, key, vars);
+
+const withSiteName = (title) => (title ? `${title} — ${siteConfig.name}` : siteConfig.name);
+
+// Mirrors the routes in OceansideSite.jsx; `page` returns null when the params match nothing
+const PAGES = [
+  {
+    path: "/",
+    page: () => ({ jsonLd: [...services(), faqPage()] }),
+  },
+  ...Object.keys(LEGAL).map((doc) => ({
+    path: `/${doc}`,
+    page: () => ({ title: LEGAL[doc].meta.title, updated: LEGAL[doc].meta.date }),
+  })),
+  {
+    path: "/work/:slug",
+    page: ({ slug }) => {
+      const study = CASE_STUDIES.find((c) => c.slug === slug);
+      return study && { title: study.meta.title, description: study.meta.summary, updated: study.meta.date, type: "article" };
+    },
+  },
+  {
+    path: "/insights",
+    page: () => ({ title: t("insights.title"), description: t("insights.intro"), updated: INSIGHTS[0]?.meta.date }),
+  },
+  {
+    path: "/insights/tag/:tag",
+    page: ({ tag }) =>
+      INSIGHT_TAGS.includes(tag) && {
+        title: t("insights.tagged", { tag }),
+        description: t("insights.intro"),
+        updated: INSIGHTS.find((post) => post.meta.tags.includes(tag)).meta.date,
+      },
+  },
+  {
+    path: "/insights/:slug",
+    page: ({ slug }) => {
+      const post = INSIGHTS.find((p) => p.slug === slug);
+      return (
+        post && {
+          title: post.meta.title,
+          description: post.meta.summary,
+          updated: post.meta.date,
+          type: "article",
+          jsonLd: [blogPosting(post)],
+        }
+      );
+    },
+  },
+];
+
+const alternates = (path) =>
+  [...LOCALES.map((l) => l.code), "x-default"].map((hreflang) => {
+    const url = new URL(path, siteConfig.url);
+    if (hreflang !== "x-default") url.searchParams.set("lang", hreflang);
+    return { hreflang, href: url.href };
+  });
+
+/**
+ * `{ title, description, canonical, alternates, type, updated?, noindex, jsonLd }` for a path.
+ * Every page names the Organization; anything that isn't a page gets the not-found title,
+ * `noindex` and no alternates.
+ */
+export function pageMeta(path) {
+  const match = matchRoute(PAGES, path);
+  const page = match && match.route.page(match.params);
+  const meta = page || { title: t("notFound.title"), noindex: true };
+  return {
+    type: "website",
+    description: siteConfig.tagline,
+    ...meta,
+    title: withSiteName(meta.title),
+    canonical: absoluteUrl(path),
+    alternates: meta.noindex ? [] : alternates(path),
+    noindex: Boolean(meta.noindex),
+    jsonLd: [organization(), ...(meta.jsonLd || [])],
+  };
+}
+
+export const escapeXml = (value) =>
+  String(value).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// JSON inside <script> must not be able to close the tag
+const jsonLdScript = (graph) =>
+  `<script type="application/ld+json">${JSON.stringify({ "@context": "https://schema.org", "@graph": graph }).replace(/</g, "\\u003c")}</script>`;
+
+/** The <head> markup for a prerendered page: title, description, canonical, hreflang, OpenGraph/Twitter, feeds and JSON-LD. */
+export function headTags(path) {
+  const meta = pageMeta(path);
+  const image = absoluteUrl("/favicon.png");
+  const tags = [
+    ["meta", { name: "description", content: meta.description }],
+    meta.noindex ? ["meta", { name: "robots", content: "noindex" }] : ["link", { rel: "canonical", href: meta.canonical }],
+    ...meta.alternates.map(({ hreflang, href }) => ["link", { rel: "alternate", hreflang, href }]),
+    ["meta", { property: "og:type", content: meta.type }],
+    ["meta", { property: "og:site_name", content: siteConfig.name }],
+    ["meta", { property: "og:title", content: meta.title }],
+    ["meta", { property: "og:description", content: meta.description }],
+    ["meta", { property: "og:url", content: meta.canonical }],
+    ["meta", { property: "og:image", content: image }],
+    ["meta", { name: "twitter:card", content: "summary" }],
+    ["meta", { name: "twitter:title", content: meta.title }],
+    ["meta", { name: "twitter:description", content: meta.description }],
+    ["meta", { name: "twitter:image", content: image }],
+    ["link", { rel: "alternate", type: "application/rss+xml", title: `${siteConfig.name} — ${t("insights.title")}`, href: absoluteUrl("/rss.xml") }],
+    ["link", { rel: "alternate", type: "application/atom+xml", title: `${siteConfig.name} — ${t("insights.title")}`, href: absoluteUrl("/atom.xml") }],
+  ].map(([tag, attrs]) => `<${tag} ${Object.entries(attrs).map(([k, v]) => `${k}="${escapeXml(v)}"`).join(" ")} />`);
+  return [`<title>${escapeXml(meta.title)}</title>`, ...tags, jsonLdScript(meta.jsonLd)].join("\n    ");
+}
+
+/** sitemap.xml for the given paths, leaving out anything marked noindex. */
+export function sitemapXml(paths) {
+  const urls = paths
+    .map(pageMeta)
+    .filter((meta) => !meta.noindex)
+    .map((meta) =>
+      [
+        "  <url>",
+        `    <loc>${escapeXml(meta.canonical)}</loc>`,
+        meta.updated && `    <lastmod>${meta.updated}</lastmod>`,
+        "  </url>",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>\n`;
+}
+
+export const robotsTxt = () => `User-agent: *\nAllow: /\n\nSitemap: ${absoluteUrl("/sitemap.xml")}\n`;
@@ -0,0 +1,192 @@
+/**
+ * Site Config Schema — shape of src/site-config.json, the editable site content.
+ * (Long-form copy — case studies, the about story, legal pages — lives in src/content/*.md.)
+ * Node types: string (minLength, format: "url" | "currency"), number (min, max, above), boolean,
+ * icon (a name from the icon registry), cell (a checkmark boolean or text), array (items,
+ * minItems) and object (properties).
+ * Every property is required unless marked `optional: true`; unknown properties are reported
+ * so typos don't silently vanish.
+ * Translations (src/locales/*.json) overlay this file per locale and are checked against it too.
+ */
+
+const text = { type: "string", minLength: 1 };
+const textList = { type: "array", minItems: 1, items: text };
+const url = { type: "string", format: "url" };
+const icon = { type: "icon" };
+const currency = { type: "string", format: "currency" };
+
+export const SITE_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    name: text,
+    // Public origin of the site: canonical URLs, OpenGraph tags and sitemap.xml are built from it
+    url,
+    tagline: text,
+    clients: textList,
+    calendly: url,
+    webhook: url,
+    sections: {
+      type: "array",
+      optional: true,
+      items: {
+        type: "object",
+        properties: {
+          id: text,
+          enabled: { type: "boolean", optional: true },
+          nav: { ...text, optional: true },
+        },
+      },
+    },
+    mission: text,
+    pillars: {
+      type: "array",
+      minItems: 1,
+      items: { type: "object", properties: { icon, title: text, text } },
+    },
+    services: {
+      type: "array",
+      minItems: 1,
+      items: { type: "object", properties: { icon, name: text, desc: text } },
+    },
+    integrations: textList,
+    languages: textList,
+    // ISO 4217 code the pricing amounts are in; each visitor sees them formatted for their locale
+    currency,
+    // Currencies visitors can switch prices to; `rate` converts from `currency` (which must be listed, at 1).
+    // pricing.js divides by rates, so 0 is refused
+    currencies: {
+      type: "array",
+      minItems: 1,
+      items: { type: "object", properties: { code: currency, rate: { type: "number", above: 0 } } },
+    },
+    billing: {
+      type: "object",
+      properties: {
+        // Share taken off monthly prices when billed annually (0.15 = 15%)
+        annualDiscount: { type: "number", min: 0, max: 0.99 },
+      },
+    },
+    pricing: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: {
+          tier: text,
+          // Per month, in whole `currency` units; omit for tiers priced on request ("Custom")
+          price: { type: "number", min: 0, optional: true },
+          // Monthly call minutes included; omit for unlimited (the ROI calculator matches on it)
+          minutes: { type: "number", min: 0, optional: true },
+          tagline: text,
+          features: textList,
+          highlighted: { type: "boolean", optional: true },
+        },
+      },
+    },
+    // Pricing comparison table: one value per pricing tier, in the same order — true/false render as
+    // a checkmark or a dash, text (limits like "5,000") as written
+    comparison: {
+      type: "array",
+      optional: true,
+      items: {
+        type: "object",
+        properties: { feature: text, values: { type: "array", minItems: 1, items: { type: "cell" } } },
+      },
+    },
+    faqs: {
+      type: "array",
+      items: { type: "object", properties: { q: text, a: text } },
+    },
+    about: {
+      type: "object",
+      properties: {
+        credentials: {
+          type: "array",
+          items: { type: "object", properties: { icon, text } },
+        },
+      },
+    },
+  },
+};
+
+const FORMATS = {
+  url: /^https?:\/\/\S+$/,
+  currency: /^[A-Z]{3}$/,
+};
+const FORMAT_NAMES = { url: "an http(s) URL", currency: "a three-letter currency code like USD" };
+
+const describe = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+const check = (value, schema, path, errors, ctx) => {
+  const at = path || "(root)";
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return errors.push(`${at}: expected text, got ${describe(value)}`);
+      if (schema.minLength && value.trim().length < schema.minLength) return errors.push(`${at}: must not be empty`);
+      if (schema.format && !FORMATS[schema.format].test(value)) {
+        errors.push(`${at}: expected ${FORMAT_NAMES[schema.format]}, got "${value}"`);
+      }
+      return;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return errors.push(`${at}: expected a number, got ${describe(value)}`);
+      if (schema.min !== undefined && value < schema.min) errors.push(`${at}: must be at least ${schema.min}`);
+      if (schema.above !== undefined && value <= schema.above) errors.push(`${at}: must be more than ${schema.above}`);
+      if (schema.max !== undefined && value > schema.max) errors.push(`${at}: must be at most ${schema.max}`);
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${at}: expected true or false, got ${describe(value)}`);
+      return;
+    case "icon":
+      if (typeof value !== "string") return errors.push(`${at}: expected an icon name, got ${describe(value)}`);
+      if (!ctx.iconNames.includes(value)) {
+        errors.push(`${at}: unknown icon "${value}" (available: ${ctx.iconNames.join(", ")})`);
+      }
+      return;
+    case "cell":
+      if (typeof value === "boolean") return;
+      if (typeof value !== "string" || !value.trim()) errors.push(`${at}: expected true, false or text, got ${describe(value)}`);
+      return;
+    case "array":
+      if (!Array.isArray(value)) return errors.push(`${at}: expected a list, got ${describe(value)}`);
+      if (schema.minItems && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} item(s)`);
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors, ctx));
+      return;
+    case "object": {
+      if (describe(value) !== "object") return errors.push(`${at}: expected an object, got ${describe(value)}`);
+      Object.entries(schema.properties).forEach(([key, child]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined) {
+          if (!child.optional) errors.push(`${childPath}: missing required field`);
+          return;
+        }
+        check(value[key], child, childPath, errors, ctx);
+      });
+      Object.keys(value)
+        .filter((key) => !(key in schema.properties))
+        .forEach((key) => errors.push(`${path ? `${path}.${key}` : key}: unknown field (expected one of: ${Object.keys(schema.properties).join(", ")})`));
+      return;
+    }
+    default:
+      throw new Error(`Unsupported schema type "${schema.type}" at ${at}`);
+  }
+};
+
+/** Returns a list of human-readable problems; empty when the config is valid. */
+export function validateSiteConfig(config, { iconNames }) {
+  const errors = [];
+  check(config, SITE_CONFIG_SCHEMA, "", errors, { iconNames });
+  // Rules that span fields
+  const base = config.currencies?.find?.((c) => c.code === config.currency);
+  if (Array.isArray(config.currencies) && base?.rate !== 1) {
+    errors.push(`currencies: must list the base currency ${config.currency} with rate 1`);
+  }
+  config.comparison?.forEach?.((row, i) => {
+    if (Array.isArray(row?.values) && Array.isArray(config.pricing) && row.values.length !== config.pricing.length) {
+      errors.push(`comparison[${i}].values: needs one value per pricing tier (${config.pricing.length}), got ${row.values.length}`);
+    }
+  });
+  return errors;
+}
+
+export const formatSiteConfigErrors = (file, errors) =>
+  `${file} has ${errors.length} problem${errors.length === 1 ? "" : "s"}:\n${errors.map((e) => `  • ${e}`).join("\n")}`;
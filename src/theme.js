@@ -0,0 +1,76 @@
+/**
+ * Theme — light, dark or "system", which follows the OS `prefers-color-scheme` setting live.
+ * The mode is saved in localStorage ("system" by leaving it unset); <html> carries the `dark`
+ * class whenever the resolved theme is dark, for Tailwind's `dark:` variant.
+ * The inline script in index.html applies the same rule before the first paint — keep the two in
+ * step (STORAGE_KEY, QUERY) or visitors see the wrong theme flash in.
+ * Canvas colors are theme tokens (CSS custom properties in styles/globals.css): `canvasPalette()`
+ * reads the current ones for canvasScenes.js.
+ */
+
+const STORAGE_KEY = "theme";
+const QUERY = "(prefers-color-scheme: dark)";
+
+export const THEME_MODES = ["system", "light", "dark"];
+
+const listeners = new Set();
+
+const media = () => (typeof window === "undefined" || !window.matchMedia ? null : window.matchMedia(QUERY));
+
+const savedMode = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    return saved === "light" || saved === "dark" ? saved : "system";
+  } catch {
+    return "system";
+  }
+};
+
+let mode = typeof window === "undefined" ? "system" : savedMode();
+
+/** "system", "light" or "dark" — what the visitor picked. */
+export const getThemeMode = () => mode;
+
+/** "light" or "dark" — what is on screen. */
+export const resolvedTheme = () => (mode === "system" ? (media()?.matches ? "dark" : "light") : mode);
+
+const apply = () => {
+  document.documentElement.classList.toggle("dark", resolvedTheme() === "dark");
+  listeners.forEach((fn) => fn());
+};
+
+export function setThemeMode(next) {
+  mode = THEME_MODES.includes(next) ? next : "system";
+  try {
+    if (mode === "system") window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch {
+    // storage blocked; the mode holds until reload
+  }
+  apply();
+}
+
+export function subscribeTheme(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+const token = (styles, name) => styles.getPropertyValue(`--canvas-${name}`).trim();
+
+/** The canvas theme tokens for the theme on screen, as canvasScenes.js takes them. */
+export function canvasPalette() {
+  const styles = getComputedStyle(document.documentElement);
+  return {
+    particle: token(styles, "particle"),
+    spectrum: token(styles, "spectrum"),
+    grid: token(styles, "grid"),
+    waveHues: token(styles, "wave-hues").split(/\s+/).map(Number),
+    waveLightness: Number(token(styles, "wave-lightness")),
+  };
+}
+
+// An OS switch only shows while following the system; <html> is already right from index.html
+if (typeof window !== "undefined") {
+  media()?.addEventListener?.("change", () => mode === "system" && apply());
+  apply();
+}
@@ -1,7 +1,14 @@
+import typography from "@tailwindcss/typography";
+import plugin from "tailwindcss/plugin";
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: ["./index.html", "./src/**/*.{js,jsx}"],
   darkMode: "class",
   theme: { extend: {} },
-  plugins: [],
+  plugins: [
+    typography,
+    // `motion-ok:` — only while reduced motion is off (src/motion.js sets html.reduce-motion)
+    plugin(({ addVariant }) => addVariant("motion-ok", "html:not(.reduce-motion) &")),
+  ],
 };
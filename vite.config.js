@@ -1,6 +1,87 @@
+import { readFileSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import markdownContent from "./plugins/markdownContent.js";
+import prerender from "./plugins/prerender.js";
+import transcripts from "./plugins/transcripts.js";
+import { ICON_NAMES } from "./src/icons.js";
+import { formatSiteConfigErrors, validateSiteConfig } from "./src/siteConfigSchema.js";
+import { DEFAULT_LOCALE, LOCALES, validateLocaleCatalog } from "./src/i18n.js";
+
+/**
+ * Validates src/site-config.json whenever it is loaded, so a bad content edit fails the build
+ * (and shows the dev overlay) with the offending field paths instead of breaking the page.
+ */
+const siteConfigGuard = () => ({
+  name: "site-config-guard",
+  enforce: "pre",
+  transform(code, id) {
+    if (!id.endsWith("/src/site-config.json")) return null;
+    let config;
+    try {
+      config = JSON.parse(code);
+    } catch (err) {
+      this.error(`site-config.json is not valid JSON: ${err.message}`);
+    }
+    const errors = validateSiteConfig(config, { iconNames: ICON_NAMES });
+    if (errors.length) this.error(formatSiteConfigErrors("site-config.json", errors));
+    return null;
+  },
+});
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(file, import.meta.url), "utf8"));
+
+/**
+ * Checks each src/locales/<code>.json catalog against en.json and, once its content is overlaid,
+ * against the site-config schema — a stray key or broken translation fails the build like a bad config.
+ */
+const localeGuard = () => ({
+  name: "locale-guard",
+  enforce: "pre",
+  transform(code, id) {
+    const match = id.match(/\/src\/locales\/([\w-]+)\.json$/);
+    if (!match) return null;
+    const file = `locales/${match[1]}.json`;
+    let catalog;
+    try {
+      catalog = JSON.parse(code);
+    } catch (err) {
+      this.error(`${file} is not valid JSON: ${err.message}`);
+    }
+    const errors = validateLocaleCatalog(catalog, {
+      base: readJson("./src/site-config.json"),
+      reference: readJson("./src/locales/en.json"),
+      iconNames: ICON_NAMES,
+    });
+    if (errors.length) this.error(formatSiteConfigErrors(file, errors));
+    return null;
+  },
+});
+
+/**
+ * Dev-only stand-in for lead sinks. With VITE_LEAD_SINK_MOCK=1 every HTTP sink posts to
+ * /__mock/leads/<type>; requests are logged to the terminal. Set MOCK_LEADS_FAIL=<type>[,<type>]
+ * to make those sinks answer 503 and exercise the offline queue.
+ */
+const mockLeadSink = () => ({
+  name: "mock-lead-sink",
+  apply: "serve",
+  configureServer(server) {
+    server.middlewares.use("/__mock/leads", (req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const type = req.url.split(/[/?]/).filter(Boolean)[0] || "json";
+        const failing = (process.env.MOCK_LEADS_FAIL || "").split(",").includes(type);
+        server.config.logger.info(`[mock-lead-sink] ${req.method} ${type} → ${failing ? 503 : 200}\n${body}`);
+        res.statusCode = failing ? 503 : 200;
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ ok: !failing }));
+      });
+    });
+  },
+});
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [siteConfigGuard(), localeGuard(), markdownContent({ locales: LOCALES.map((l) => l.code).filter((code) => code !== DEFAULT_LOCALE) }), transcripts(), react(), mockLeadSink(), prerender()],
 });